@@ -0,0 +1,91 @@
+'use strict'
+
+const DEFAULT_MAX_COUNT = 10
+const DEFAULT_MAX_VALUE_LENGTH = 256
+
+// Namespaces recorded by the instrumentation, untrusted baggage must not spoof them
+const RESERVED_PREFIXES = ['http.', 'url.', 'server.', 'client.', 'network.', 'user_agent.', 'error.', 'net.', 'inject.']
+
+/**
+ * Compile the baggageToAttributes option into a function extracting span attributes from baggage,
+ * throwing a TypeError when the mapping or the limits have the wrong type
+ * @param {string[]|object} [mapping] - Baggage keys recorded as `baggage.<key>`, or an object
+ * mapping baggage keys to attribute names outside the namespaces recorded by the instrumentation
+ * @param {object} [limits] - The limits applied to untrusted baggage, see normalizeBaggageLimits
+ * @returns {Function|undefined} Called with a Baggage, returns the attributes, undefined when no key is allowlisted
+ */
+function compileBaggageAttributes (mapping, limits) {
+  const { maxCount, maxValueLength } = normalizeBaggageLimits(limits)
+  if (mapping === undefined || mapping === null) {
+    return undefined
+  }
+
+  let entries
+  if (Array.isArray(mapping)) {
+    if (!mapping.every(key => typeof key === 'string')) {
+      throw new TypeError('expected an array of baggage keys')
+    }
+    entries = mapping.map(key => [key, `baggage.${key}`])
+  } else if (typeof mapping === 'object') {
+    entries = Object.entries(mapping)
+    if (!entries.every(([, attribute]) => typeof attribute === 'string')) {
+      throw new TypeError('expected attribute names as values')
+    }
+    entries = entries.filter(([, attribute]) => !RESERVED_PREFIXES.some(prefix => attribute.startsWith(prefix)))
+  } else {
+    throw new TypeError('expected an array of baggage keys or an object')
+  }
+
+  if (entries.length === 0) {
+    return undefined
+  }
+
+  return (baggage) => {
+    const attributes = {}
+    if (!baggage) {
+      return attributes
+    }
+
+    let count = 0
+    for (const [key, attribute] of entries) {
+      if (count >= maxCount) {
+        break
+      }
+      const value = baggage.getEntry(key)?.value
+      if (typeof value !== 'string' || value.length > maxValueLength) {
+        continue
+      }
+      attributes[attribute] = value
+      count++
+    }
+    return attributes
+  }
+}
+
+/**
+ * Validate the baggageAttributeLimits option, throwing a TypeError when a limit has the wrong type
+ * @param {object} [limits] - The limits applied to untrusted baggage
+ * @param {number} [limits.maxCount=10] - Maximum number of attributes recorded per request
+ * @param {number} [limits.maxValueLength=256] - Entries with longer values are not recorded
+ * @returns {{ maxCount: number, maxValueLength: number }} The limits with their defaults
+ */
+function normalizeBaggageLimits (limits = {}) {
+  if (limits === null || typeof limits !== 'object' || Array.isArray(limits)) {
+    throw new TypeError('expected an object')
+  }
+
+  const maxCount = limits.maxCount ?? DEFAULT_MAX_COUNT
+  const maxValueLength = limits.maxValueLength ?? DEFAULT_MAX_VALUE_LENGTH
+  if (!Number.isInteger(maxCount) || maxCount < 0) {
+    throw new TypeError('maxCount must be a non-negative integer')
+  }
+  if (!Number.isInteger(maxValueLength) || maxValueLength < 0) {
+    throw new TypeError('maxValueLength must be a non-negative integer')
+  }
+  return { maxCount, maxValueLength }
+}
+
+module.exports = {
+  compileBaggageAttributes,
+  normalizeBaggageLimits
+}
@@ -0,0 +1,191 @@
+'use strict'
+
+const { Transform } = require('node:stream')
+
+const REDACTED = 'REDACTED'
+const DEFAULT_MAX_SIZE = 4096
+const DEFAULT_CONTENT_TYPES = [/^application\/(.+\+)?json$/, /^text\//]
+
+/**
+ * Normalize the captureBody option, throwing a TypeError when an option has the wrong type
+ * @param {boolean|object} [config] - true to capture both bodies with the defaults, or an options object
+ * @returns {object|undefined} The body capture options, undefined when disabled
+ */
+function normalizeBodyCapture (config) {
+  if (!config) {
+    return undefined
+  }
+
+  const options = config === true ? {} : config
+  const { maxSize, contentTypes } = normalizePayloadOptions(options, {
+    maxSize: DEFAULT_MAX_SIZE,
+    contentTypes: DEFAULT_CONTENT_TYPES
+  })
+
+  const { redact } = options
+  if (redact !== undefined && typeof redact !== 'function' &&
+    !(Array.isArray(redact) && redact.every(path => typeof path === 'string'))) {
+    throw new TypeError('redact must be a function or an array of JSON paths')
+  }
+
+  return {
+    request: options.request !== false,
+    response: options.response !== false,
+    maxSize,
+    contentTypes,
+    redact
+  }
+}
+
+/**
+ * Validate the maxSize and contentTypes options shared by captureBody and captureErrorDetails,
+ * throwing a TypeError when they are not an object or an option has the wrong type
+ * @param {object} options - The options object
+ * @param {{ maxSize: number, contentTypes: Array<string|RegExp> }} defaults - The values of unset options
+ * @returns {{ maxSize: number, contentTypes: Array<string|RegExp> }} The options with their defaults
+ */
+function normalizePayloadOptions (options, defaults) {
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    throw new TypeError('expected true or an options object')
+  }
+
+  const maxSize = options.maxSize ?? defaults.maxSize
+  if (!Number.isInteger(maxSize) || maxSize < 0) {
+    throw new TypeError('maxSize must be a non-negative integer')
+  }
+
+  const contentTypes = options.contentTypes ?? defaults.contentTypes
+  if (!Array.isArray(contentTypes) || !contentTypes.every(type => typeof type === 'string' || type instanceof RegExp)) {
+    throw new TypeError('contentTypes must be an array of media types or RegExps')
+  }
+
+  return { maxSize, contentTypes }
+}
+
+/**
+ * Check the media type of a body against the content types to capture
+ * @param {string} [contentType] - The Content-Type header value
+ * @param {Array<string|RegExp>} contentTypes - Media types, or regexes tested against lower-cased media types
+ * @returns {boolean} Whether the body should be captured
+ */
+function isCapturedContentType (contentType, contentTypes) {
+  if (!contentType) {
+    return false
+  }
+
+  const mediaType = String(contentType).split(';')[0].trim().toLowerCase()
+  return contentTypes.some(type => {
+    return type instanceof RegExp ? type.test(mediaType) : type.toLowerCase() === mediaType
+  })
+}
+
+/**
+ * Redact and truncate a body for recording
+ * @param {string|Buffer} body - The body, possibly already truncated
+ * @param {boolean} truncated - Whether the body was truncated while being read
+ * @param {object} capture - The normalized body capture options
+ * @param {object} info - Passed to the redact callback: { type, contentType }
+ * @returns {{ content: string, truncated: boolean }|undefined} The recorded body, undefined when
+ * it cannot be safely redacted
+ */
+function formatBody (body, truncated, capture, info) {
+  let content = Buffer.isBuffer(body) ? body.toString('utf8') : body
+
+  if (typeof capture.redact === 'function') {
+    content = String(capture.redact(content, info))
+  } else if (Array.isArray(capture.redact) && capture.redact.length > 0) {
+    // Paths only apply to JSON, a body that cannot be parsed is not recorded at all
+    if (truncated) {
+      return undefined
+    }
+    try {
+      const value = JSON.parse(content)
+      for (const path of capture.redact) {
+        redactPath(value, parsePath(path))
+      }
+      content = JSON.stringify(value)
+    } catch {
+      return undefined
+    }
+  }
+
+  const buffer = Buffer.from(content)
+  if (buffer.length > capture.maxSize) {
+    return { content: buffer.subarray(0, capture.maxSize).toString('utf8'), truncated: true }
+  }
+  return { content, truncated }
+}
+
+/**
+ * Split a JSON path such as `$.user.password` or `items.*.token` into segments
+ * @param {string} path - The JSON path
+ * @returns {string[]} The path segments
+ */
+function parsePath (path) {
+  const segments = path.split('.')
+  return segments[0] === '$' ? segments.slice(1) : segments
+}
+
+function redactPath (value, segments) {
+  if (value === null || typeof value !== 'object' || segments.length === 0) {
+    return
+  }
+
+  const [segment, ...rest] = segments
+  const keys = segment === '*' ? Object.keys(value) : [segment]
+  for (const key of keys) {
+    if (!Object.hasOwn(value, key)) {
+      continue
+    }
+    if (rest.length === 0) {
+      value[key] = REDACTED
+    } else {
+      redactPath(value[key], rest)
+    }
+  }
+}
+
+/**
+ * Pipe a stream through a pass-through that keeps its first bytes, so a stream
+ * payload can be recorded without consuming it
+ * @param {import('node:stream').Readable} source - The stream to observe
+ * @param {number} maxSize - The maximum number of bytes to keep
+ * @returns {{ stream: Transform, read: Function }} The stream to use instead of the source,
+ * and a function returning what was kept so far
+ */
+function tapStream (source, maxSize) {
+  const chunks = []
+  let kept = 0
+  let size = 0
+
+  const stream = new Transform({
+    transform (chunk, encoding, callback) {
+      const buffer = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding)
+      size += buffer.length
+      if (kept < maxSize) {
+        const slice = buffer.subarray(0, maxSize - kept)
+        chunks.push(slice)
+        kept += slice.length
+      }
+      callback(null, chunk)
+    }
+  })
+
+  source.on('error', err => stream.destroy(err))
+  source.pipe(stream)
+
+  return {
+    stream,
+    read () {
+      return { body: Buffer.concat(chunks), truncated: size > kept, size }
+    }
+  }
+}
+
+module.exports = {
+  normalizeBodyCapture,
+  normalizePayloadOptions,
+  isCapturedContentType,
+  formatBody,
+  tapStream
+}
@@ -0,0 +1,61 @@
+'use strict'
+
+const { normalizePayloadOptions, isCapturedContentType } = require('./body.js')
+
+const DEFAULT_MAX_SIZE = 4096
+const DEFAULT_CONTENT_TYPES = [/^application\/(.+\+)?json$/]
+
+/**
+ * Normalize the captureErrorDetails option, throwing a TypeError when an option has the wrong type
+ * @param {boolean|object} [config] - true to parse error payloads with the defaults, or an options object
+ * @returns {object|undefined} The error details options, undefined when disabled
+ */
+function normalizeErrorDetails (config) {
+  if (!config) {
+    return undefined
+  }
+
+  const options = config === true ? {} : config
+  return normalizePayloadOptions(options, { maxSize: DEFAULT_MAX_SIZE, contentTypes: DEFAULT_CONTENT_TYPES })
+}
+
+/**
+ * Parse a Fastify-style error payload: `{ statusCode, code, error, message }`
+ * @param {object} response - The inject response
+ * @param {object} options - The normalized error details options
+ * @returns {{ code: string|undefined, name: string|undefined, message: string }|undefined} The error,
+ * undefined when the payload is not a Fastify error or is too large to parse
+ */
+function parseErrorPayload (response, options) {
+  if (!isCapturedContentType(response.headers?.['content-type'], options.contentTypes)) {
+    return undefined
+  }
+
+  // Streamed payloads are not buffered, and a truncated one could not be parsed
+  const body = response.rawPayload
+  if (!Buffer.isBuffer(body) || body.length === 0 || body.length > options.maxSize) {
+    return undefined
+  }
+
+  let payload
+  try {
+    payload = JSON.parse(body.toString('utf8'))
+  } catch {
+    return undefined
+  }
+
+  if (payload === null || typeof payload !== 'object' || typeof payload.message !== 'string') {
+    return undefined
+  }
+
+  return {
+    code: typeof payload.code === 'string' ? payload.code : undefined,
+    name: typeof payload.error === 'string' ? payload.error : undefined,
+    message: payload.message
+  }
+}
+
+module.exports = {
+  normalizeErrorDetails,
+  parseErrorPayload
+}
@@ -0,0 +1,123 @@
+'use strict'
+
+/**
+ * Read a header regardless of the casing used in the inject options
+ * @param {object} [headers] - The headers
+ * @param {string} name - The lower-cased header name
+ * @returns {*} The header value, undefined when missing
+ */
+function getHeader (headers, name) {
+  if (!headers) {
+    return undefined
+  }
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name)
+  return key === undefined ? undefined : headers[key]
+}
+
+// Never overwrite a header the caller set, whatever casing it used
+const headerSetter = {
+  set (carrier, key, value) {
+    const lowerKey = key.toLowerCase()
+    const exists = Object.keys(carrier).some(header => header.toLowerCase() === lowerKey)
+    if (!exists) {
+      carrier[key] = value
+    }
+  }
+}
+
+/**
+ * Copy headers without the given ones, whatever casing they use
+ * @param {object} [headers] - The headers
+ * @param {string[]} names - The header names to leave out
+ * @returns {object} The remaining headers
+ */
+function omitHeaders (headers, names) {
+  const omitted = new Set(names.map(name => name.toLowerCase()))
+  const result = {}
+  for (const key of Object.keys(headers ?? {})) {
+    if (!omitted.has(key.toLowerCase())) {
+      result[key] = headers[key]
+    }
+  }
+  return result
+}
+
+/**
+ * Copy a RegExp without the `g` and `y` flags, whose lastIndex would make repeated tests alternate
+ * @param {RegExp} regexp - The RegExp
+ * @returns {RegExp} A RegExp safe to test repeatedly
+ */
+function toStatelessRegExp (regexp) {
+  return regexp.global || regexp.sticky
+    ? new RegExp(regexp.source, regexp.flags.replace(/[gy]/g, ''))
+    : regexp
+}
+
+/**
+ * Create a case-insensitive matcher from a header allowlist, throwing a TypeError when
+ * the allowlist is not an array of header names and regexes
+ * @param {Array<string|RegExp>} [allowlist] - Header names, or regexes tested against lower-cased names
+ * @returns {Function|undefined} The matcher, undefined when nothing is captured
+ */
+function createHeadersMatcher (allowlist) {
+  if (allowlist === undefined || allowlist === null) {
+    return undefined
+  }
+  if (!Array.isArray(allowlist)) {
+    throw new TypeError('expected an array of header names or RegExps')
+  }
+  if (allowlist.length === 0) {
+    return undefined
+  }
+
+  const names = new Set()
+  const patterns = []
+  for (const entry of allowlist) {
+    if (entry instanceof RegExp) {
+      patterns.push(toStatelessRegExp(entry))
+    } else if (typeof entry === 'string') {
+      names.add(entry.toLowerCase())
+    } else {
+      throw new TypeError('expected an array of header names or RegExps')
+    }
+  }
+
+  return (header) => names.has(header) || patterns.some(pattern => pattern.test(header))
+}
+
+/**
+ * Build the header attributes, as string arrays per semconv
+ * @param {object} [headers] - The request or response headers
+ * @param {Function} [matcher] - The matcher created by createHeadersMatcher
+ * @param {string} prefix - The attribute prefix
+ * @returns {object} The header attributes
+ */
+function captureHeaders (headers, matcher, prefix) {
+  const attributes = {}
+  if (!matcher || !headers) {
+    return attributes
+  }
+
+  for (const [header, value] of Object.entries(headers)) {
+    const lowerHeader = header.toLowerCase()
+    if (value === undefined || !matcher(lowerHeader)) {
+      continue
+    }
+
+    // Headers can be repeated with a different casing in inject options
+    const key = prefix + lowerHeader
+    const values = Array.isArray(value) ? value.map(String) : [String(value)]
+    attributes[key] = attributes[key] ? attributes[key].concat(values) : values
+  }
+
+  return attributes
+}
+
+module.exports = {
+  getHeader,
+  headerSetter,
+  omitHeaders,
+  toStatelessRegExp,
+  createHeadersMatcher,
+  captureHeaders
+}
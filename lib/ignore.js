@@ -0,0 +1,125 @@
+'use strict'
+
+const { inspect } = require('node:util')
+const { getHeader, toStatelessRegExp } = require('./headers.js')
+
+/**
+ * Compile the ignore rules into a single predicate, throwing a TypeError when they are not an array
+ * @param {Array<string|RegExp|object>} [rules] - Paths, globs and regexes matched against the request path,
+ * or objects combining `path`, `method` and `headers` conditions that must all match
+ * @param {object} [diag] - The logger warning about invalid rules, which are skipped
+ * @returns {Function|undefined} A predicate called with (opts, method, path), undefined when nothing is ignored
+ */
+function compileIgnoreRules (rules, diag) {
+  if (rules === undefined || rules === null) {
+    return undefined
+  }
+  if (!Array.isArray(rules)) {
+    throw new TypeError('expected an array of rules')
+  }
+
+  const matchers = []
+  for (const rule of rules) {
+    try {
+      matchers.push(compileRule(rule))
+    } catch (err) {
+      diag?.warn(`Invalid ignore rule ${inspect(rule, { breakLength: Infinity })}, ${err.message}. Skipping it.`)
+    }
+  }
+
+  if (matchers.length === 0) {
+    return undefined
+  }
+  return (opts, method, path) => matchers.some(matcher => matcher(opts, method, path))
+}
+
+function compileRule (rule) {
+  if (typeof rule === 'string' || rule instanceof RegExp) {
+    const matchPath = compilePath(rule)
+    return (opts, method, path) => matchPath(path)
+  }
+  if (!isObject(rule)) {
+    throw new TypeError('expected a path, a RegExp or an object')
+  }
+
+  const conditions = []
+
+  if (rule.path !== undefined) {
+    if (typeof rule.path !== 'string' && !(rule.path instanceof RegExp)) {
+      throw new TypeError('path must be a string or a RegExp')
+    }
+    const matchPath = compilePath(rule.path)
+    conditions.push((opts, method, path) => matchPath(path))
+  }
+
+  if (rule.method !== undefined) {
+    const methods = [].concat(rule.method)
+    if (!methods.every(method => typeof method === 'string')) {
+      throw new TypeError('method must be a string or an array of strings')
+    }
+    const upperMethods = new Set(methods.map(method => method.toUpperCase()))
+    conditions.push((opts, method) => upperMethods.has(method))
+  }
+
+  if (rule.headers !== undefined) {
+    if (!isObject(rule.headers)) {
+      throw new TypeError('headers must be an object')
+    }
+    const headers = Object.entries(rule.headers).map(([name, expected]) => [name.toLowerCase(), compileValue(expected)])
+    conditions.push((opts) => headers.every(([name, matchValue]) => matchValue(getHeader(opts.headers, name))))
+  }
+
+  // An empty rule would ignore everything, which is never what was meant
+  if (conditions.length === 0) {
+    return () => false
+  }
+
+  return (opts, method, path) => conditions.every(condition => condition(opts, method, path))
+}
+
+/**
+ * Compile a path matcher: a RegExp, a glob where `*` matches within a segment and `**`
+ * across segments, or an exact path
+ * @param {string|RegExp} pattern - The path pattern
+ * @returns {Function} The path predicate
+ */
+function compilePath (pattern) {
+  if (pattern instanceof RegExp) {
+    const regexp = toStatelessRegExp(pattern)
+    return (path) => regexp.test(path)
+  }
+
+  if (!pattern.includes('*')) {
+    return (path) => path === pattern
+  }
+
+  const source = pattern
+    .split('**')
+    .map(part => part.split('*').map(escapeRegExp).join('[^/]*'))
+    .join('.*')
+  const regexp = new RegExp(`^${source}$`)
+  return (path) => regexp.test(path)
+}
+
+function compileValue (expected) {
+  if (typeof expected === 'function') {
+    return (value) => value !== undefined && Boolean(expected(value))
+  }
+  if (expected instanceof RegExp) {
+    const regexp = toStatelessRegExp(expected)
+    return (value) => value !== undefined && regexp.test(String(value))
+  }
+  return (value) => value !== undefined && String(value) === String(expected)
+}
+
+function isObject (value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+function escapeRegExp (value) {
+  return value.replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+}
+
+module.exports = {
+  compileIgnoreRules
+}
@@ -1,6 +1,18 @@
 'use strict'
 
-const { context, propagation, SpanKind, SpanStatusCode, trace } = require('@opentelemetry/api')
+const {
+  context,
+  createContextKey,
+  isSpanContextValid,
+  propagation,
+  SpanKind,
+  SpanStatusCode,
+  trace,
+  ValueType
+} = require('@opentelemetry/api')
+const { isTracingSuppressed, suppressTracing } = require('@opentelemetry/core')
+const diagnostics = require('node:diagnostics_channel')
+const { finished } = require('node:stream')
 const {
   InstrumentationBase,
   InstrumentationNodeModuleDefinition
@@ -8,6 +20,7 @@ const {
 const {
   ATTR_HTTP_REQUEST_METHOD,
   ATTR_HTTP_RESPONSE_STATUS_CODE,
+  ATTR_HTTP_ROUTE,
   ATTR_URL_FULL,
   ATTR_URL_PATH,
   ATTR_URL_QUERY,
@@ -17,8 +30,16 @@ const {
   ATTR_CLIENT_ADDRESS,
   ATTR_USER_AGENT_ORIGINAL,
   ATTR_NETWORK_PROTOCOL_VERSION,
-  ATTR_ERROR_TYPE
+  ATTR_ERROR_TYPE,
+  METRIC_HTTP_SERVER_REQUEST_DURATION
 } = require('@opentelemetry/semantic-conventions')
+const { normalizeBodyCapture, isCapturedContentType, formatBody, tapStream } = require('./body.js')
+const { DEFAULT_REDACTED_QUERY_PARAMS, normalizeUrl, redactUrl, splitUrl } = require('./url.js')
+const { getHeader, headerSetter, omitHeaders, createHeadersMatcher, captureHeaders } = require('./headers.js')
+const { compileIgnoreRules } = require('./ignore.js')
+const { normalizeErrorDetails, parseErrorPayload } = require('./error-details.js')
+const { compileBaggageAttributes, normalizeBaggageLimits } = require('./baggage.js')
+const { SemconvStability, SEMCONV_STABILITY_OPTIONS, semconvStabilityFromEnv, createAttributeMapper } = require('./semconv.js')
 const pkg = require('../package.json')
 
 const { name, version } = pkg
@@ -26,6 +47,44 @@ const { name, version } = pkg
 const MODULE_NAME = 'light-my-request'
 const kOriginal = Symbol('original')
 
+// Set while a wrapped Fastify inject calls into light-my-request, which is then already traced.
+// Its value maps the dispatch function Fastify passes to the traced one
+const TRACED_BY_WRAPPER_KEY = createContextKey('light-my-request inject traced by a wrapper')
+// Published by Fastify with every new instance
+const FASTIFY_INITIALIZATION_CHANNEL = 'fastify.initialization'
+
+// Still incubating in @opentelemetry/semantic-conventions, not exported from the stable entry point
+const METRIC_HTTP_SERVER_ACTIVE_REQUESTS = 'http.server.active_requests'
+const ATTR_HTTP_REQUEST_BODY_SIZE = 'http.request.body.size'
+const ATTR_HTTP_RESPONSE_BODY_SIZE = 'http.response.body.size'
+
+// Attributes of the cancelled and timeout span events
+const ATTR_CANCEL_REASON = 'cancel.reason'
+const ATTR_INJECT_TIMEOUT = 'inject.timeout'
+
+// Prefix of the attributes recording the simulate option, e.g. inject.simulate.close
+const ATTR_INJECT_SIMULATE_PREFIX = 'inject.simulate.'
+const SIMULATE_KEYS = ['end', 'split', 'error', 'close']
+const SIMULATED_EVENTS = ['error', 'close']
+
+// light-my-request defaults when the request does not say otherwise
+const DEFAULT_REMOTE_ADDRESS = '127.0.0.1'
+const DEFAULT_SERVER_ADDRESS = 'localhost'
+const DEFAULT_SERVER_PORTS = { http: 80, https: 443 }
+
+const SPAN_KINDS = ['server', 'client', 'client-server']
+const CONTEXT_POLICIES = ['trust', 'link', 'ignore']
+
+// Attribute of the link to an untrusted incoming context, explaining why it is not the parent
+const ATTR_INJECT_LINK_REASON = 'inject.link.reason'
+const DEFAULT_UNTRUSTED_REASON = 'untrusted'
+const STATUS_CODES = [SpanStatusCode.UNSET, SpanStatusCode.OK, SpanStatusCode.ERROR]
+
+// Identity of the registered application handling the request
+const ATTR_INJECT_TARGET_NAME = 'inject.target.name'
+const ATTR_INJECT_TARGET_VERSION = 'inject.target.version'
+const ATTR_PEER_SERVICE = 'peer.service'
+
 /**
  * OpenTelemetry instrumentation for light-my-request
  * Instruments Fastify's inject() calls which bypass HTTP
@@ -33,8 +92,140 @@ const kOriginal = Symbol('original')
 class LightMyRequestInstrumentation extends InstrumentationBase {
   constructor (config = {}) {
     super(name, version, config)
-    this._requestHook = config.requestHook
-    this._responseHook = config.responseHook
+    // Registered applications by instance and dispatch function, without keeping them alive
+    this._targets = new WeakMap()
+
+    // An invalid option falls back to its default, the rest of the config still applies
+    const { compiled, invalid } = this._compileConfig(this.getConfig())
+    if (invalid.length > 0) {
+      const validConfig = { ...this.getConfig() }
+      for (const { option, err } of invalid) {
+        this._diag.warn(`Invalid ${option}, ${err.message}. Using the default.`)
+        delete validConfig[option]
+      }
+      super.setConfig(validConfig)
+    }
+    Object.assign(this, compiled)
+  }
+
+  /**
+   * Replace the config, taking effect for the next inject.
+   * Hooks and callbacks are read from the config when called, the other options are validated here.
+   * A config with an invalid option is not applied, the previous one is kept
+   * @param {object} [config] - The instrumentation config
+   */
+  setConfig (config = {}) {
+    // The base constructor sets the config before the logger exists, the constructor compiles it then
+    if (!this._diag) {
+      super.setConfig(config)
+      return
+    }
+
+    const { compiled, invalid } = this._compileConfig(config)
+    if (invalid.length > 0) {
+      for (const { option, err } of invalid) {
+        this._diag.warn(`Invalid ${option}, ${err.message}. Keeping the previous config.`)
+      }
+      return
+    }
+    super.setConfig(config)
+    Object.assign(this, compiled)
+
+    if (config.enabled === false && this.isEnabled()) {
+      this.disable()
+    } else if (config.enabled === true && !this.isEnabled()) {
+      this.enable()
+    }
+  }
+
+  /**
+   * Enable the instrumentation, and instrument the Fastify instances created from now on
+   * so that app.inject() dispatches through their routes
+   */
+  enable () {
+    const wasEnabled = this.isEnabled()
+    super.enable()
+    if (!wasEnabled) {
+      this._onFastifyInitialization ??= ({ fastify }) => this.instrumentFastify(fastify)
+      diagnostics.subscribe(FASTIFY_INITIALIZATION_CHANNEL, this._onFastifyInitialization)
+    }
+  }
+
+  /**
+   * Disable the instrumentation, instrumented Fastify instances stop tracing
+   */
+  disable () {
+    super.disable()
+    if (this._onFastifyInitialization) {
+      diagnostics.unsubscribe(FASTIFY_INITIALIZATION_CHANNEL, this._onFastifyInitialization)
+    }
+  }
+
+  /**
+   * Validate the options and compile the matchers they describe, without applying them.
+   * Invalid enumerated values are replaced by their default with a warning, options with the
+   * wrong type compile as if unset and are reported
+   * @param {object} config - The instrumentation config
+   * @returns {{ compiled: object, invalid: Array<{ option: string, err: Error }> }} The compiled options,
+   * assigned to the instrumentation once all are valid, and the options that are not
+   */
+  _compileConfig (config) {
+    const invalid = []
+    const compile = (option, fn) => {
+      try {
+        return fn(config[option])
+      } catch (err) {
+        invalid.push({ option, err })
+        return fn(undefined)
+      }
+    }
+
+    let spanKind = config.spanKind ?? 'server'
+    if (!SPAN_KINDS.includes(spanKind)) {
+      this._diag.warn(`Invalid spanKind "${spanKind}", expected one of ${SPAN_KINDS.join(', ')}. Using "server".`)
+      spanKind = 'server'
+    }
+
+    let incomingContext = config.incomingContext ?? 'trust'
+    if (typeof incomingContext !== 'function' && !CONTEXT_POLICIES.includes(incomingContext)) {
+      this._diag.warn(`Invalid incomingContext "${incomingContext}", expected one of ${CONTEXT_POLICIES.join(', ')} or a function. Using "trust".`)
+      incomingContext = 'trust'
+    }
+
+    // The option takes precedence over OTEL_SEMCONV_STABILITY_OPT_IN, stable attributes are the default
+    let semconvStability = semconvStabilityFromEnv() ?? SemconvStability.STABLE
+    if (config.semconvStability !== undefined) {
+      const stability = SEMCONV_STABILITY_OPTIONS[config.semconvStability]
+      if (stability) {
+        semconvStability = stability
+      } else {
+        const options = Object.keys(SEMCONV_STABILITY_OPTIONS).join(', ')
+        this._diag.warn(`Invalid semconvStability "${config.semconvStability}", expected one of ${options}. Ignoring it.`)
+      }
+    }
+
+    const baggageAttributeLimits = compile('baggageAttributeLimits', normalizeBaggageLimits)
+
+    const compiled = {
+      _spanKind: spanKind,
+      _incomingContext: incomingContext,
+      _requestHeadersMatcher: compile('captureRequestHeaders', createHeadersMatcher),
+      _responseHeadersMatcher: compile('captureResponseHeaders', createHeadersMatcher),
+      _bodyCapture: compile('captureBody', normalizeBodyCapture),
+      _redactedQueryParams: compile('redactedQueryParams', (params) => {
+        params ??= DEFAULT_REDACTED_QUERY_PARAMS
+        if (!Array.isArray(params) || !params.every(param => typeof param === 'string')) {
+          throw new TypeError('expected an array of strings')
+        }
+        return new Set(params.map(param => param.toLowerCase()))
+      }),
+      _ignoreMatcher: compile('ignore', rules => compileIgnoreRules(rules, this._diag)),
+      _errorDetails: compile('captureErrorDetails', normalizeErrorDetails),
+      _baggageAttributes: compile('baggageToAttributes', mapping => compileBaggageAttributes(mapping, baggageAttributeLimits)),
+      _semconvStability: semconvStability,
+      _mapAttributes: createAttributeMapper(semconvStability)
+    }
+    return { compiled, invalid }
   }
 
   /**
@@ -72,21 +263,16 @@ class LightMyRequestInstrumentation extends InstrumentationBase {
         return moduleExports
       }
 
-      // Patch the default export
-      const original = moduleExports.default
-      const patchedInject = this._patchInject()(original)
-      patchedInject[kOriginal] = original
-
-      // Copy properties from original
-      Object.keys(original).forEach(key => {
-        patchedInject[key] = original[key]
-      })
-
-      // Mutate the moduleExports.default in place
+      // The namespace bindings are live under import-in-the-middle, so both
+      // `import inject from` and `import { inject } from` see the patched function
+      const patchedInject = this._wrapInjectExport(moduleExports.default)
       moduleExports.default = patchedInject
+      if (typeof moduleExports.inject === 'function') {
+        moduleExports.inject = patchedInject
+      }
 
-      // Return the default export (the patched function) for ESM imports
-      return moduleExports.default
+      // Returning anything but the namespace would make import-in-the-middle replace the default export again
+      return moduleExports
     }
 
     if (typeof moduleExports !== 'function') {
@@ -98,16 +284,115 @@ class LightMyRequestInstrumentation extends InstrumentationBase {
       return moduleExports
     }
 
-    // The main export is a function, so we need to wrap it directly
-    const patchedInject = this._patchInject()(moduleExports)
+    return this._wrapInjectExport(moduleExports)
+  }
+
+  /**
+   * Trace a light-my-request inject function that was not patched on require,
+   * such as a bundled copy or one loaded before the instrumentation was registered
+   * @param {Function} inject - The inject function
+   * @returns {Function} The traced inject function, the same function when already traced
+   */
+  wrapInject (inject) {
+    if (typeof inject !== 'function') {
+      this._diag.warn(`wrapInject expects a function, got ${typeof inject}. Cannot wrap.`)
+      return inject
+    }
+    if (inject[kOriginal]) {
+      return inject
+    }
+    return this._wrapInjectExport(inject)
+  }
+
+  /**
+   * Register the application behind a dispatch function, so its spans carry its identity.
+   * A Fastify instance is registered along with its `routing` dispatch function, and is used
+   * to resolve routes when it is not passed as the `server` inject option
+   * @param {Function|object} target - The dispatch function or the Fastify instance
+   * @param {object} [options] - The application identity
+   * @param {string} [options.name] - Recorded as `inject.target.name`, and `peer.service` on CLIENT spans
+   * @param {string} [options.version] - Recorded as `inject.target.version`
+   * @param {object} [options.attributes] - Extra attributes, such as `server.address`
+   * @returns {Function|object} The target
+   */
+  registerTarget (target, options = {}) {
+    if (typeof target !== 'function' && (typeof target !== 'object' || target === null)) {
+      this._diag.warn(`registerTarget expects a dispatch function or a Fastify instance, got ${typeof target}. Cannot register.`)
+      return target
+    }
+
+    const registration = {
+      app: isFastify(target) ? target : undefined,
+      name: typeof options.name === 'string' && options.name ? options.name : undefined,
+      attributes: getTargetAttributes(options)
+    }
+    this._targets.set(target, registration)
+    if (registration.app && typeof target.routing === 'function') {
+      this._targets.set(target.routing, registration)
+    }
+
+    return target
+  }
+
+  /**
+   * Trace the inject method of a Fastify instance, whichever light-my-request copy it uses
+   * @param {object} app - The Fastify instance
+   * @returns {object} The Fastify instance
+   */
+  instrumentFastify (app) {
+    if (typeof app?.inject !== 'function') {
+      this._diag.warn('instrumentFastify expects a Fastify instance. Cannot instrument.')
+      return app
+    }
+    if (app.inject[kOriginal]) {
+      return app
+    }
+
+    // Routes resolve without the server inject option, a registered identity is kept
+    if (!this._targets.has(app)) {
+      this.registerTarget(app)
+    }
+
+    const targets = this._targets
+    const appInject = app.inject
+    const patchedInject = this._patchInject()(function (dispatchFunc, opts, callback) {
+      // A patched light-my-request copy would trace the same request again. It dispatches
+      // through the traced function instead of the routing one, which records simulated events
+      const toTracedDispatch = (fastifyDispatch) => fastifyDispatch === app.routing ? dispatchFunc : fastifyDispatch
+      const result = context.with(context.active().setValue(TRACED_BY_WRAPPER_KEY, toTracedDispatch), () => {
+        return appInject.call(app, opts, callback)
+      })
+
+      // Until the app is started, its chains dispatch through a closure waiting for ready()
+      if (typeof result?.dispatch === 'function' && targets.has(app)) {
+        targets.set(result.dispatch, targets.get(app))
+      }
+      return result
+    })
+
+    app.inject = function inject (opts, callback) {
+      return patchedInject.call(this, app.routing, opts, callback)
+    }
+    app.inject[kOriginal] = appInject
+
+    return app
+  }
+
+  /**
+   * Patch the inject function exported by light-my-request
+   * @param {Function} original - The exported inject function
+   * @returns {Function} The patched inject function, with the same properties
+   */
+  _wrapInjectExport (original) {
+    const patchedInject = this._patchInject()(original)
 
     // Store the original on the patched version using a symbol
     // so we can restore it during unpatch
-    patchedInject[kOriginal] = moduleExports
+    patchedInject[kOriginal] = original
 
     // Copy all properties from the original to the patched version
-    Object.keys(moduleExports).forEach(key => {
-      patchedInject[key] = moduleExports[key]
+    Object.keys(original).forEach(key => {
+      patchedInject[key] = original[key]
     })
 
     // Also update the named exports with the patched version
@@ -125,6 +410,18 @@ class LightMyRequestInstrumentation extends InstrumentationBase {
    */
   _unpatch (moduleExports, moduleVersion) {
     this._diag.debug(`Removing patch for ${MODULE_NAME}@${moduleVersion}`)
+
+    // Under import-in-the-middle this is the namespace, whose bindings were patched in place
+    if (moduleExports?.[Symbol.toStringTag] === 'Module') {
+      for (const key of ['default', 'inject']) {
+        const original = moduleExports[key]?.[kOriginal]
+        if (original) {
+          moduleExports[key] = original
+        }
+      }
+      return moduleExports
+    }
+
     // Retrieve the original function we stored during patch
     const original = moduleExports[kOriginal]
     if (original) {
@@ -143,165 +440,1171 @@ class LightMyRequestInstrumentation extends InstrumentationBase {
 
     return (original) => {
       return function patchedInject (dispatchFunc, options, callback) {
+        // The per-call otel option is only meant for the instrumentation, the app never sees it
+        let spanOptions
+        if (options?.otel !== undefined && typeof options === 'object' && !(options instanceof URL)) {
+          ({ otel: spanOptions, ...options } = options)
+        }
+
+        // Manually wrapped functions cannot be unpatched, they stop tracing instead
+        if (!instrumentation.isEnabled()) {
+          return original.call(this, dispatchFunc, options, callback)
+        }
+
+        // Already traced by instrumentFastify, clear the flag so that injects from the app are traced
+        const activeContext = context.active()
+        const toTracedDispatch = activeContext.getValue(TRACED_BY_WRAPPER_KEY)
+        if (toTracedDispatch) {
+          return context.with(activeContext.deleteValue(TRACED_BY_WRAPPER_KEY), () => {
+            return original.call(this, toTracedDispatch(dispatchFunc), options, callback)
+          })
+        }
+
         // Normalize options
         const opts = typeof options === 'string' || options instanceof URL
           ? { url: options.toString() }
           : { ...options }
 
-        // Extract context from headers if present
-        const activeContext = opts.headers
-          ? propagation.extract(context.active(), opts.headers)
-          : context.active()
-
-        const method = (opts.method || 'GET').toUpperCase()
-        const url = opts.url || '/'
+        // Handle callback style
+        if (typeof callback === 'function') {
+          if (instrumentation._shouldIgnore(opts)) {
+            return context.with(suppressTracing(context.active()), () => {
+              return original.call(this, dispatchFunc, options, callback)
+            })
+          }
 
-        // Parse URL to extract path and query
-        const [urlPath, urlQuery] = url.split('?')
+          const state = instrumentation._startInjectSpan(dispatchFunc, opts, spanOptions)
+          const wrappedCallback = wrapCallback(state, callback, instrumentation)
 
-        // Extract server information from headers
-        const attributes = {
-          [ATTR_HTTP_REQUEST_METHOD]: method,
-          [ATTR_URL_FULL]: url,
-          [ATTR_URL_PATH]: urlPath,
-          [ATTR_URL_SCHEME]: 'http' // light-my-request doesn't use actual HTTP, default to http
+          // Run the original inject within the span context
+          return context.with(state.spanContext, () => {
+            return callOriginal(state, () => original.call(this, state.dispatchFunc, opts, wrappedCallback), instrumentation)
+          })
         }
 
-        // Add query string if present (conditionally required)
-        if (urlQuery) {
-          attributes[ATTR_URL_QUERY] = urlQuery
-        }
+        // Without a callback light-my-request returns a Chain, which only
+        // dispatches once .end() or a promise method is called, so the span
+        // is deferred until then and built from the accumulated chain options
+        const result = original.call(this, dispatchFunc, opts)
 
-        // Add client.address (recommended)
-        if (opts.remoteAddress) {
-          attributes[ATTR_CLIENT_ADDRESS] = opts.remoteAddress
+        if (result && typeof result.end === 'function' && result.option) {
+          return wrapChain(result, instrumentation, spanOptions)
         }
 
-        // Add user_agent.original (recommended)
-        const userAgent = opts.headers?.['user-agent'] || opts.headers?.['User-Agent']
-        if (userAgent) {
-          attributes[ATTR_USER_AGENT_ORIGINAL] = userAgent
-        }
+        // Every supported version returns a Chain, anything else is returned untouched
+        return result
+      }
+    }
+  }
 
-        // Add network.protocol.version if available (recommended)
-        // Check for HTTP version in headers or other sources
-        const httpVersion = opts.headers?.['http-version'] || opts.headers?.httpVersion
-        if (httpVersion) {
-          attributes[ATTR_NETWORK_PROTOCOL_VERSION] = httpVersion
+  /**
+   * Check whether an injected request should be left untraced
+   * @param {object} opts - The normalized inject options
+   * @returns {boolean} True when tracing is suppressed or the request matches the ignore rules or hook
+   */
+  _shouldIgnore (opts) {
+    if (isTracingSuppressed(context.active())) {
+      return true
+    }
+
+    // A throwing header predicate leaves the request traced, as a throwing hook does
+    if (this._ignoreMatcher) {
+      try {
+        const method = (opts.method || 'GET').toUpperCase()
+        if (this._ignoreMatcher(opts, method, normalizeUrl(opts).path)) {
+          return true
         }
+      } catch (err) {
+        this._diag.error('ignore rule threw an error', err)
+      }
+    }
 
-        // Extract server.address and server.port from Host header if present
-        if (opts.headers?.host || opts.headers?.Host) {
-          const host = opts.headers.host || opts.headers.Host
-          const [address, port] = host.split(':')
-          attributes[ATTR_SERVER_ADDRESS] = address
-          if (port) {
-            attributes[ATTR_SERVER_PORT] = parseInt(port, 10)
-          }
+    const { ignoreIncomingRequestHook } = this.getConfig()
+    if (ignoreIncomingRequestHook) {
+      try {
+        return ignoreIncomingRequestHook(opts) === true
+      } catch (err) {
+        this._diag.error('ignoreIncomingRequestHook threw an error', err)
+      }
+    }
+
+    return false
+  }
+
+  /**
+   * Start the spans for an injected request and count it as active.
+   * Depending on spanKind this is a SERVER span, a CLIENT span, or a CLIENT span
+   * in the caller's context with a child SERVER span for the dispatched handling
+   * @param {Function} dispatchFunc - The dispatch function passed to inject
+   * @param {object} opts - The normalized inject options
+   * @param {object} [spanOptions] - The otel inject option: name, attributes, kind and links of this call
+   * @returns {object} The in-flight request state, passed to onResponse/onError
+   */
+  _startInjectSpan (dispatchFunc, opts, spanOptions) {
+    const call = this._normalizeSpanOptions(spanOptions)
+    const spanKind = call.kind ?? this._spanKind
+
+    // Extract context from headers if present, unless the incoming context is not trusted
+    const { context: activeContext, links: contextLinks, untrusted } = this._extractContext(opts)
+    const links = [...(contextLinks ?? []), ...call.links]
+
+    const method = (opts.method || 'GET').toUpperCase()
+
+    // Resolve url/path/query/authority the way light-my-request does
+    const normalized = normalizeUrl(opts)
+
+    // Every URL-derived attribute and the span name come from the redacted URL,
+    // only route resolution sees the raw path
+    const url = this._redactUrl(normalized.url)
+
+    // Parse URL to extract path and query
+    const { path: urlPath, query: urlQuery } = splitUrl(url)
+
+    const attributes = {
+      [ATTR_HTTP_REQUEST_METHOD]: method,
+      [ATTR_URL_FULL]: url,
+      [ATTR_URL_PATH]: urlPath,
+      [ATTR_URL_SCHEME]: normalized.scheme
+    }
+
+    // Add http.route when the matched route template is known (conditionally required)
+    const target = this._getTarget(dispatchFunc, opts)
+    const route = this._resolveRoute(dispatchFunc, opts, method, normalized.path, target)
+    if (route) {
+      attributes[ATTR_HTTP_ROUTE] = route
+    }
+
+    // Add query string if present (conditionally required)
+    if (urlQuery) {
+      attributes[ATTR_URL_QUERY] = urlQuery
+    }
+
+    // Add client.address (recommended)
+    attributes[ATTR_CLIENT_ADDRESS] = opts.remoteAddress || DEFAULT_REMOTE_ADDRESS
+
+    // Add user_agent.original (recommended)
+    const userAgent = opts.headers?.['user-agent'] || opts.headers?.['User-Agent']
+    if (userAgent) {
+      attributes[ATTR_USER_AGENT_ORIGINAL] = userAgent
+    }
+
+    // Add network.protocol.version if available (recommended)
+    // Check for HTTP version in headers or other sources
+    const httpVersion = opts.headers?.['http-version'] || opts.headers?.httpVersion
+    if (httpVersion) {
+      attributes[ATTR_NETWORK_PROTOCOL_VERSION] = httpVersion
+    }
+
+    // Add server.address and server.port from the Host header, authority or URL
+    if (normalized.serverAddress) {
+      attributes[ATTR_SERVER_ADDRESS] = normalized.serverAddress
+    }
+    if (normalized.serverPort) {
+      attributes[ATTR_SERVER_PORT] = normalized.serverPort
+    }
+
+    // Record the simulated network faults, so fault-injection runs stand out from normal traffic
+    const simulate = opts.simulate
+    if (simulate) {
+      for (const key of SIMULATE_KEYS) {
+        if (simulate[key] !== undefined) {
+          attributes[ATTR_INJECT_SIMULATE_PREFIX + key] = Boolean(simulate[key])
         }
+      }
+    }
 
-        // Start a SERVER span (inject simulates server receiving request)
-        const span = instrumentation.tracer.startSpan(`${method} ${urlPath}`, {
-          kind: SpanKind.SERVER,
-          attributes
-        }, activeContext)
+    // Add the allowlisted request headers (opt-in)
+    const requestHeaders = captureHeaders(opts.headers, this._requestHeadersMatcher, 'http.request.header.')
+    Object.assign(attributes, requestHeaders)
 
-        const spanContext = trace.setSpan(activeContext, span)
+    // Add the identity of the registered application, which may override the attributes derived from the request
+    const targetAttributes = target?.attributes ?? {}
+    Object.assign(attributes, targetAttributes)
 
-        // Call requestHook if provided
-        if (instrumentation._requestHook) {
-          try {
-            instrumentation._requestHook(span, opts)
-          } catch (err) {
-            instrumentation._diag.error('requestHook threw an error', err)
-          }
+    // Copy the allowlisted baggage entries, which never override the attributes above
+    const baggageAttributes = {}
+    if (this._baggageAttributes) {
+      for (const [key, value] of Object.entries(this._baggageAttributes(propagation.getBaggage(activeContext)))) {
+        if (attributes[key] === undefined) {
+          baggageAttributes[key] = value
         }
+      }
+      Object.assign(attributes, baggageAttributes)
+    }
 
-        // Handle callback style
-        if (typeof callback === 'function') {
-          const wrappedCallback = wrapCallback(span, callback, instrumentation)
+    // Span name follows semconv: the route template when matched, the bare method
+    // when the app has no matching route, the raw path when routes cannot be resolved
+    const spanName = call.name ?? (route === undefined
+      ? `${method} ${urlPath}`
+      : route ? `${method} ${route}` : method)
 
-          // Run the original inject within the span context
-          return context.with(spanContext, () => {
-            return original.call(this, dispatchFunc, opts, wrappedCallback)
-          })
+    // Start a CLIENT span in the caller's context, recording the target on the client side
+    let clientSpan
+    let parentContext = activeContext
+    if (spanKind !== 'server') {
+      clientSpan = this.tracer.startSpan(spanName, {
+        kind: SpanKind.CLIENT,
+        links,
+        attributes: this._mapAttributes({
+          [ATTR_HTTP_REQUEST_METHOD]: method,
+          [ATTR_URL_FULL]: url,
+          [ATTR_SERVER_ADDRESS]: attributes[ATTR_SERVER_ADDRESS] || DEFAULT_SERVER_ADDRESS,
+          [ATTR_SERVER_PORT]: attributes[ATTR_SERVER_PORT] || DEFAULT_SERVER_PORTS[normalized.scheme] || DEFAULT_SERVER_PORTS.http,
+          ...requestHeaders,
+          ...targetAttributes,
+          ...(target?.name && { [ATTR_PEER_SERVICE]: target.name }),
+          ...baggageAttributes,
+          ...call.attributes
+        }, SpanKind.CLIENT)
+      }, activeContext)
+      parentContext = trace.setSpan(activeContext, clientSpan)
+    }
+
+    // Start a SERVER span (inject simulates server receiving request)
+    const span = spanKind === 'client'
+      ? clientSpan
+      : this.tracer.startSpan(spanName, {
+        kind: SpanKind.SERVER,
+        // The outermost span carries the link to an untrusted incoming context
+        links: clientSpan ? undefined : links,
+        attributes: this._mapAttributes({ ...attributes, ...call.attributes }, SpanKind.SERVER)
+      }, parentContext)
+
+    const spanContext = trace.setSpan(parentContext, span)
+
+    // Forward the span context so instrumentations inside the dispatched app continue the trace
+    if (this.getConfig().propagateContext === true) {
+      // Untrusted trace headers are replaced, the app would otherwise join the untrusted trace
+      opts.headers = untrusted ? omitHeaders(opts.headers, propagation.fields()) : { ...opts.headers }
+      propagation.inject(spanContext, opts.headers, headerSetter)
+    }
+
+    // Metrics only carry low-cardinality attributes
+    const metricAttributes = {
+      [ATTR_HTTP_REQUEST_METHOD]: method,
+      [ATTR_URL_SCHEME]: attributes[ATTR_URL_SCHEME]
+    }
+    this._activeRequestsCounter.add(1, metricAttributes)
+
+    const state = {
+      span,
+      // Only set when the CLIENT span wraps a separate SERVER span
+      clientSpan: span === clientSpan ? undefined : clientSpan,
+      spanContext,
+      // Attributes set after the span started go through the semconv stability mapping too
+      mapAttributes: this._mapAttributes,
+      spanKind: span === clientSpan ? SpanKind.CLIENT : SpanKind.SERVER,
+      metricAttributes,
+      route,
+      name: spanName,
+      // Routes registered by plugins only exist once the app is ready, which dispatching waits for
+      resolveRoute: route === null
+        ? () => this._resolveRoute(dispatchFunc, opts, method, normalized.path, target)
+        : undefined,
+      method,
+      // A name from the otel inject option is kept when the route is resolved late
+      customName: call.name !== undefined,
+      dispatchFunc,
+      payloadAsStream: opts.payloadAsStream === true,
+      startTime: performance.now()
+    }
+
+    // Call requestHook if provided
+    const { requestHook } = this.getConfig()
+    if (requestHook) {
+      try {
+        requestHook(span, opts)
+      } catch (err) {
+        this._diag.error('requestHook threw an error', err)
+      }
+    }
+
+    // Body capture must never break the request, as a throwing hook does not
+    if (this._bodyCapture?.request) {
+      try {
+        this._captureRequestBody(state, opts)
+      } catch (err) {
+        this._diag.error('Unable to capture the request body', err)
+      }
+    }
+    this._measureRequestBody(state, opts)
+
+    this._watchRequest(state, opts)
+
+    const simulated = getSimulatedEvents(simulate)
+    if (simulated.length > 0) {
+      state.dispatchFunc = wrapSimulatedDispatch(state, dispatchFunc, simulated)
+    }
+
+    return state
+  }
+
+  /**
+   * Validate the otel inject option of a call
+   * @param {object} [spanOptions] - The otel inject option
+   * @returns {{ name: string|undefined, attributes: object, kind: string|undefined, links: object[] }}
+   * The span name, attributes, kind and links of the call
+   */
+  _normalizeSpanOptions (spanOptions) {
+    const call = {
+      name: typeof spanOptions?.name === 'string' && spanOptions.name ? spanOptions.name : undefined,
+      attributes: spanOptions?.attributes ?? {},
+      kind: spanOptions?.kind,
+      links: Array.isArray(spanOptions?.links) ? spanOptions.links : []
+    }
+
+    if (!isPlainObject(call.attributes)) {
+      const type = Array.isArray(call.attributes) ? 'array' : typeof call.attributes
+      this._diag.warn(`Invalid otel.attributes ${type}, expected an object. Ignoring it.`)
+      call.attributes = {}
+    }
+
+    if (call.kind !== undefined && !SPAN_KINDS.includes(call.kind)) {
+      this._diag.warn(`Invalid otel.kind "${call.kind}", expected one of ${SPAN_KINDS.join(', ')}. Using "${this._spanKind}".`)
+      call.kind = undefined
+    }
+
+    return call
+  }
+
+  /**
+   * Extract the incoming context from the request headers following the incomingContext policy:
+   * trust it as the parent, link to it from a span parented on the caller's context, or ignore it
+   * @param {object} opts - The normalized inject options
+   * @returns {{ context: import('@opentelemetry/api').Context, links: object[]|undefined, untrusted: boolean }}
+   * The parent context, the links to add and whether the incoming context is not trusted
+   */
+  _extractContext (opts) {
+    const activeContext = context.active()
+    if (!opts.headers) {
+      return { context: activeContext, links: undefined, untrusted: false }
+    }
+
+    const { policy, reason } = this._resolveContextPolicy(opts)
+    if (policy === 'trust') {
+      return { context: propagation.extract(activeContext, opts.headers), links: undefined, untrusted: false }
+    }
+
+    let links
+    if (policy === 'link') {
+      const spanContext = trace.getSpanContext(propagation.extract(activeContext, opts.headers))
+      // Without a trace header the extracted span is the caller's own, there is nothing to link
+      if (spanContext && spanContext !== trace.getSpanContext(activeContext) && isSpanContextValid(spanContext)) {
+        links = [{ context: spanContext, attributes: { [ATTR_INJECT_LINK_REASON]: reason } }]
+      }
+    }
+
+    return { context: activeContext, links, untrusted: true }
+  }
+
+  /**
+   * Resolve the incomingContext policy of a request
+   * @param {object} opts - The normalized inject options
+   * @returns {{ policy: string, reason: string }} The policy and, when not trusted, the reason recorded on the link
+   */
+  _resolveContextPolicy (opts) {
+    if (typeof this._incomingContext !== 'function') {
+      return { policy: this._incomingContext, reason: DEFAULT_UNTRUSTED_REASON }
+    }
+
+    let result
+    try {
+      result = this._incomingContext(opts)
+    } catch (err) {
+      // Failing closed: a broken predicate must not let callers pick the parent
+      this._diag.error('incomingContext threw an error', err)
+      return { policy: 'link', reason: 'incomingContext error' }
+    }
+
+    const policy = typeof result === 'string' ? result : result?.policy
+    if (!CONTEXT_POLICIES.includes(policy)) {
+      this._diag.warn(`Invalid incomingContext result "${policy}", expected one of ${CONTEXT_POLICIES.join(', ')}. Using "link".`)
+      return { policy: 'link', reason: 'invalid incomingContext result' }
+    }
+    return { policy, reason: result?.reason ?? DEFAULT_UNTRUSTED_REASON }
+  }
+
+  /**
+   * Watch an in-flight request for AbortSignal cancellations and for the injectTimeout
+   * @param {object} state - The in-flight request state
+   * @param {object} opts - The normalized inject options
+   */
+  _watchRequest (state, opts) {
+    const { signal } = opts
+    if (typeof signal?.addEventListener === 'function') {
+      const onAbort = () => recordCancelled(state, signal.reason)
+      if (signal.aborted) {
+        onAbort()
+      } else {
+        signal.addEventListener('abort', onAbort, { once: true })
+        state.removeAbortListener = () => signal.removeEventListener('abort', onAbort)
+      }
+    }
+
+    const { injectTimeout, endSpanOnTimeout } = this.getConfig()
+    if (injectTimeout > 0) {
+      state.timer = setTimeout(() => this._onTimeout(state, injectTimeout, endSpanOnTimeout === true), injectTimeout)
+      state.timer.unref()
+    }
+  }
+
+  /**
+   * Warn about a request still running after injectTimeout and record a timeout event.
+   * With endSpanOnTimeout, its spans are also ended so that hung requests are exported
+   * before the process is killed, and the late completion is ignored.
+   * @param {object} state - The in-flight request state
+   * @param {number} timeout - The injectTimeout the request started with
+   * @param {boolean} endSpan - Whether the spans are ended as timed out
+   */
+  _onTimeout (state, timeout, endSpan) {
+    const message = `inject still running after ${timeout}ms`
+    this._diag.warn(`${state.name}: ${message}`)
+
+    state.span.addEvent('timeout', { [ATTR_INJECT_TIMEOUT]: timeout })
+    if (!endSpan) {
+      return
+    }
+
+    const error = new Error(message)
+    error.name = 'TimeoutError'
+    onError(state, error, this)
+  }
+
+  /**
+   * Classify a response status code into a span status, with the statusClassifier when set
+   * @param {number} statusCode - The response status code
+   * @param {object} response - The inject response
+   * @param {number} spanKind - The kind of the span being classified
+   * @returns {number} The span status code
+   */
+  _classifyStatus (statusCode, response, spanKind) {
+    const { statusClassifier } = this.getConfig()
+    if (statusClassifier) {
+      try {
+        const code = statusClassifier(statusCode, response, spanKind)
+        // Anything but a SpanStatusCode falls back to the default policy
+        if (STATUS_CODES.includes(code)) {
+          return code
         }
+      } catch (err) {
+        this._diag.error('statusClassifier threw an error', err)
+      }
+    }
+    return defaultStatusClassifier(statusCode, spanKind)
+  }
+
+  /**
+   * Record the request payload as a span event, streams are recorded once the request completes
+   * @param {object} state - The in-flight request state
+   * @param {object} opts - The normalized inject options
+   */
+  _captureRequestBody (state, opts) {
+    // light-my-request reads the payload from either option
+    const key = opts.payload ? 'payload' : 'body'
+    const payload = opts[key]
+    if (!payload) {
+      return
+    }
 
-        // Handle promise style
-        return context.with(spanContext, () => {
-          const result = original.call(this, dispatchFunc, opts)
+    const isStream = typeof payload.resume === 'function'
+    const isSerialized = typeof payload === 'string' || Buffer.isBuffer(payload)
 
-          // Ensure we have a promise
-          if (result && typeof result.then === 'function') {
-            return wrapPromise(span, result, instrumentation)
-          }
+    // Objects are sent as JSON by light-my-request
+    const contentType = getHeader(opts.headers, 'content-type') ||
+      (!isStream && !isSerialized ? 'application/json' : undefined)
+    if (!isCapturedContentType(contentType, this._bodyCapture.contentTypes)) {
+      return
+    }
+
+    const info = { type: 'request', contentType }
+
+    if (isStream) {
+      state.requestTap = tapStream(payload, this._bodyCapture.maxSize)
+      state.requestBodyInfo = info
+      opts[key] = state.requestTap.stream
+      return
+    }
+
+    // light-my-request rejects payloads it cannot serialize, there is nothing to record
+    const body = serializePayload(state, payload)
+    if (body !== undefined) {
+      this._recordBody(state.span, body, false, info)
+    }
+  }
+
+  /**
+   * Record the size of the request payload, streams are counted as light-my-request reads them
+   * @param {object} state - The in-flight request state
+   * @param {object} opts - The normalized inject options
+   */
+  _measureRequestBody (state, opts) {
+    const key = opts.payload ? 'payload' : 'body'
+    const payload = opts[key]
+    if (!payload) {
+      return
+    }
+
+    if (typeof payload.resume === 'function') {
+      // Reuse the body capture tap when there is one, otherwise count without keeping anything
+      if (!state.requestTap) {
+        state.requestTap = tapStream(payload, 0)
+        opts[key] = state.requestTap.stream
+      }
+      return
+    }
+
+    // Objects are sent as JSON by light-my-request, which reports payloads it cannot serialize
+    const body = serializePayload(state, payload)
+    if (body !== undefined) {
+      setAttributes(state, { [ATTR_HTTP_REQUEST_BODY_SIZE]: Buffer.byteLength(body) })
+    }
+  }
+
+  /**
+   * Record the response payload as a span event
+   * @param {object} state - The in-flight request state
+   * @param {object} response - The inject response
+   */
+  _captureResponseBody (state, response) {
+    const contentType = response.headers?.['content-type']
+    if (!isCapturedContentType(contentType, this._bodyCapture.contentTypes)) {
+      return
+    }
+
+    const body = response.rawPayload ?? response.payload
+    if (body) {
+      this._recordBody(state.span, body, false, { type: 'response', contentType })
+    }
+  }
+
+  /**
+   * Record a captured body as a span event
+   * @param {import('@opentelemetry/api').Span} span - The span to add the event to
+   * @param {string|Buffer} body - The body
+   * @param {boolean} truncated - Whether the body was truncated while being read
+   * @param {object} info - The body type and content type
+   */
+  _recordBody (span, body, truncated, info) {
+    let formatted
+    try {
+      formatted = formatBody(body, truncated, this._bodyCapture, info)
+    } catch (err) {
+      this._diag.error('captureBody redact threw an error', err)
+      return
+    }
+
+    if (!formatted) {
+      this._diag.debug(`Unable to redact the ${info.type} body, not recording it`)
+      return
+    }
+
+    span.addEvent(`http.${info.type}.body`, {
+      [`http.${info.type}.body.content`]: formatted.content,
+      [`http.${info.type}.body.truncated`]: formatted.truncated
+    })
+  }
+
+  /**
+   * Redact credentials from a URL before it is recorded
+   * @param {string} url - The request URL
+   * @returns {string} The URL with userinfo and sensitive query values replaced by REDACTED
+   */
+  _redactUrl (url) {
+    const redacted = redactUrl(url, this._redactedQueryParams)
+    const { urlRedactor } = this.getConfig()
+    if (!urlRedactor) {
+      return redacted
+    }
+
+    try {
+      return String(urlRedactor(redacted))
+    } catch (err) {
+      this._diag.error('urlRedactor threw an error', err)
+      return redacted
+    }
+  }
+
+  /**
+   * Find the registered application handling an injected request, by dispatch function
+   * then by the `server` inject option. A Fastify instance passed as `server` is registered
+   * on first use, so that its routing dispatch function is known without it afterwards
+   * @param {Function} dispatchFunc - The dispatch function passed to inject
+   * @param {object} opts - The normalized inject options
+   * @returns {object|undefined} The registration, undefined when the application is not registered
+   */
+  _getTarget (dispatchFunc, opts) {
+    const registration = this._targets.get(dispatchFunc)
+    if (registration || !opts.server || typeof opts.server !== 'object') {
+      return registration
+    }
+
+    if (isFastify(opts.server) && !this._targets.has(opts.server)) {
+      this.registerTarget(opts.server)
+    }
+    return this._targets.get(opts.server)
+  }
 
-          // If not a promise (shouldn't happen), just return it
-          return result
-        })
+  /**
+   * Resolve the route template matching an injected request
+   * @param {Function} dispatchFunc - The dispatch function passed to inject
+   * @param {object} opts - The normalized inject options
+   * @param {string} method - The upper-cased request method
+   * @param {string} urlPath - The request path without query string
+   * @param {object} [target] - The registered application handling the request
+   * @returns {string|null|undefined} The route template, null when no route matches,
+   * undefined when routes cannot be resolved for this dispatch function
+   */
+  _resolveRoute (dispatchFunc, opts, method, urlPath, target) {
+    const { routeResolver } = this.getConfig()
+    if (routeResolver) {
+      try {
+        return routeResolver(opts, dispatchFunc) || null
+      } catch (err) {
+        this._diag.error('routeResolver threw an error', err)
+        return undefined
       }
     }
+
+    // light-my-request calls the dispatch function with opts.server as `this`,
+    // a registered Fastify instance is found from its dispatch function otherwise
+    const fastify = isFastify(opts.server) ? opts.server : target?.app
+    if (!isFastify(fastify)) {
+      return undefined
+    }
+
+    try {
+      return findFastifyRoute(fastify, method, urlPath)
+    } catch (err) {
+      this._diag.debug('Unable to resolve the Fastify route', err)
+      return undefined
+    }
+  }
+
+  /**
+   * Create the HTTP server metric instruments, called again whenever the meter provider changes
+   */
+  _updateMetricInstruments () {
+    this._requestDurationHistogram = this.meter.createHistogram(METRIC_HTTP_SERVER_REQUEST_DURATION, {
+      description: 'Duration of HTTP server requests.',
+      unit: 's',
+      valueType: ValueType.DOUBLE,
+      advice: {
+        explicitBucketBoundaries: [0.005, 0.01, 0.025, 0.05, 0.075, 0.1, 0.25, 0.5, 0.75, 1, 2.5, 5, 7.5, 10]
+      }
+    })
+    this._activeRequestsCounter = this.meter.createUpDownCounter(METRIC_HTTP_SERVER_ACTIVE_REQUESTS, {
+      description: 'Number of active HTTP server requests.',
+      unit: '{request}',
+      valueType: ValueType.INT
+    })
+  }
+
+  /**
+   * Record the request metrics once the injected request completed
+   * @param {object} state - The in-flight request state
+   * @param {object} attributes - Attributes known at completion (status code, error type)
+   */
+  _recordMetrics (state, attributes) {
+    const duration = (performance.now() - state.startTime) / 1000
+    this._activeRequestsCounter.add(-1, state.metricAttributes)
+
+    const durationAttributes = { ...state.metricAttributes, ...attributes }
+    if (state.route) {
+      durationAttributes[ATTR_HTTP_ROUTE] = state.route
+    }
+    this._requestDurationHistogram.record(duration, durationAttributes)
+  }
+}
+
+/**
+ * Serialize a request payload the way light-my-request sends it. Objects are serialized
+ * once per request, the body capture and the size share the result
+ * @param {object} state - The in-flight request state
+ * @param {string|Buffer|object} payload - The request payload, not a stream
+ * @returns {string|Buffer|undefined} The payload as sent, undefined when it cannot be serialized
+ */
+function serializePayload (state, payload) {
+  if (typeof payload === 'string' || Buffer.isBuffer(payload)) {
+    return payload
+  }
+  if (!('serializedPayload' in state)) {
+    try {
+      state.serializedPayload = JSON.stringify(payload)
+    } catch {
+      state.serializedPayload = undefined
+    }
   }
+  return state.serializedPayload
 }
 
-function onResponse (span, response, instrumentation) {
+function isPlainObject (value) {
+  if (value === null || typeof value !== 'object') {
+    return false
+  }
+  const prototype = Object.getPrototypeOf(value)
+  return prototype === Object.prototype || prototype === null
+}
+
+function isFastify (server) {
+  return typeof server?.findRoute === 'function' && typeof server.hasRoute === 'function'
+}
+
+/**
+ * Build the span attributes identifying a registered application
+ * @param {object} options - The registerTarget options
+ * @returns {object} The attributes
+ */
+function getTargetAttributes (options) {
+  const attributes = {}
+  if (typeof options.name === 'string' && options.name) {
+    attributes[ATTR_INJECT_TARGET_NAME] = options.name
+  }
+  if (typeof options.version === 'string' && options.version) {
+    attributes[ATTR_INJECT_TARGET_VERSION] = options.version
+  }
+  return Object.assign(attributes, options.attributes)
+}
+
+/**
+ * Find the template of the Fastify route handling a concrete path.
+ * findRoute() matches the path and returns its params but not the template, so the
+ * template is rebuilt by swapping param values back to their names, then confirmed
+ * with hasRoute(). Templates that cannot be rebuilt this way (regex or multi-parametric
+ * segments, static segments equal to a param value) are unknown and need a routeResolver.
+ * @param {object} fastify - The Fastify instance
+ * @param {string} method - The upper-cased request method
+ * @param {string} urlPath - The request path without query string
+ * @returns {string|null|undefined} The route template, null when no route matches,
+ * undefined when a route matches but its template cannot be rebuilt
+ */
+function findFastifyRoute (fastify, method, urlPath) {
+  const found = fastify.findRoute({ method, url: urlPath })
+  if (!found) {
+    return null
+  }
+
+  const params = found.params || {}
+  const segments = urlPath.split('/')
+  let end = segments.length
+
+  // The wildcard always captures the tail of the path
+  if (params['*'] !== undefined) {
+    while (end > 0 && safeDecode(segments.slice(end - 1).join('/')) !== params['*']) {
+      end--
+    }
+    if (end === 0) {
+      return undefined
+    }
+    segments.splice(end - 1, segments.length, '*')
+    end--
+  }
+
+  // Match named params right to left so static segments sharing a value stay untouched
+  const names = Object.keys(params).filter(key => key !== '*').reverse()
+  for (const name of names) {
+    do {
+      end--
+    } while (end > 0 && safeDecode(segments[end]) !== params[name])
+    if (end <= 0) {
+      return undefined
+    }
+    segments[end] = `:${name}`
+  }
+
+  const route = segments.join('/')
+  return fastify.hasRoute({ method, url: route }) ? route : undefined
+}
+
+function safeDecode (value) {
+  try {
+    return decodeURIComponent(value)
+  } catch {
+    return value
+  }
+}
+
+function onResponse (state, response, instrumentation) {
+  if (state.ended) {
+    return
+  }
+
+  if (state.resolveRoute) {
+    resolvePendingRoute(state)
+  }
+
+  const { span, clientSpan } = state
   const statusCode = response.statusCode || 200
-  span.setAttribute(ATTR_HTTP_RESPONSE_STATUS_CODE, statusCode)
+  const attributes = { [ATTR_HTTP_RESPONSE_STATUS_CODE]: statusCode }
+
+  // Add the allowlisted response headers (opt-in), kept out of the metric attributes
+  const responseHeaders = captureHeaders(response.headers, instrumentation._responseHeadersMatcher, 'http.response.header.')
+  setAttributes(state, { ...attributes, ...responseHeaders })
 
-  // Set error.type for error responses (4xx and 5xx)
-  if (statusCode >= 400) {
-    span.setAttribute(ATTR_ERROR_TYPE, String(statusCode))
+  // Each span is classified by its own kind: a 404 is a client error, not a server one
+  const errorType = setResponseStatus(state, span, state.spanKind, statusCode, response, instrumentation)
+  if (clientSpan) {
+    setResponseStatus(state, clientSpan, SpanKind.CLIENT, statusCode, response, instrumentation)
   }
 
-  const code = statusCode >= 400
-    ? SpanStatusCode.ERROR
-    : SpanStatusCode.OK
-  span.setStatus({ code })
+  // Metrics carry error.type only when the span status is an error
+  if (errorType) {
+    attributes[ATTR_ERROR_TYPE] = errorType
+  }
+
+  // With payloadAsStream the size is only known once the stream ends
+  if (Buffer.isBuffer(response.rawPayload)) {
+    setAttributes(state, { [ATTR_HTTP_RESPONSE_BODY_SIZE]: response.rawPayload.length })
+  }
+
+  recordStreamedRequestBody(state, instrumentation)
+  if (instrumentation._bodyCapture?.response) {
+    try {
+      instrumentation._captureResponseBody(state, response)
+    } catch (err) {
+      instrumentation._diag.error('Unable to capture the response body', err)
+    }
+  }
 
   // Call responseHook if provided
-  if (instrumentation?._responseHook) {
+  const responseHook = instrumentation?.getConfig().responseHook
+  if (responseHook) {
     try {
-      instrumentation._responseHook(span, response)
+      responseHook(span, response)
     } catch (err) {
       instrumentation._diag.error('responseHook threw an error', err)
     }
   }
 
-  span.end()
+  // With payloadAsStream the response resolves on writeHead, the body is still to come
+  if (state.payloadAsStream && response.rawPayload === undefined && typeof response.stream === 'function') {
+    onResponseStream(state, response.stream(), attributes, instrumentation)
+    return
+  }
+
+  instrumentation._recordMetrics(state, attributes)
+  endSpans(state)
 }
 
-function onError (span, error) {
-  span.recordException(error)
+/**
+ * Resolve the route again once the app answered, when no route matched as the span started.
+ * The spans are renamed after the route, and the SERVER span records it as http.route
+ * @param {object} state - The in-flight request state
+ */
+function resolvePendingRoute (state) {
+  const route = state.resolveRoute()
+  state.resolveRoute = undefined
+  if (!route) {
+    return
+  }
 
-  // Set error.type to the error class name or type
-  const errorType = error.name || error.constructor?.name || 'Error'
-  span.setAttribute(ATTR_ERROR_TYPE, errorType)
+  state.route = route
+  if (!state.customName) {
+    state.name = `${state.method} ${route}`
+    state.span.updateName(state.name)
+    state.clientSpan?.updateName(state.name)
+  }
+  // CLIENT spans do not record http.route
+  if (state.spanKind === SpanKind.SERVER) {
+    state.span.setAttributes(state.mapAttributes({ [ATTR_HTTP_ROUTE]: route }, SpanKind.SERVER))
+  }
+}
+
+/**
+ * Set the span status for a response status code, and error.type when it is an error:
+ * the Fastify error code when the error payload is parsed, the status code otherwise
+ * @param {object} state - The in-flight request state
+ * @param {import('@opentelemetry/api').Span} span - The span to update
+ * @param {number} spanKind - The kind of the span
+ * @param {number} statusCode - The response status code
+ * @param {object} response - The inject response
+ * @param {LightMyRequestInstrumentation} instrumentation - The instrumentation
+ * @returns {string|undefined} The error.type, undefined when the response is not an error
+ */
+function setResponseStatus (state, span, spanKind, statusCode, response, instrumentation) {
+  const code = instrumentation._classifyStatus(statusCode, response, spanKind)
+  if (code !== SpanStatusCode.ERROR) {
+    // Unset is the initial status, there is nothing to set
+    if (code === SpanStatusCode.OK) {
+      span.setStatus({ code })
+    }
+    return undefined
+  }
+
+  const details = getErrorDetails(state, response, instrumentation)
+  const errorType = details?.code ?? String(statusCode)
+  span.setAttributes(state.mapAttributes({ [ATTR_ERROR_TYPE]: errorType }, spanKind))
+  if (details) {
+    span.recordException(details)
+  }
+  span.setStatus({ code, message: details?.message })
+  return errorType
+}
 
-  span.setStatus({
-    code: SpanStatusCode.ERROR,
-    message: error.message
+// Parsed once per response, even when both spans are errors
+function getErrorDetails (state, response, instrumentation) {
+  if (!instrumentation._errorDetails) {
+    return undefined
+  }
+  if (!Object.hasOwn(state, 'errorDetails')) {
+    try {
+      state.errorDetails = parseErrorPayload(response, instrumentation._errorDetails)
+    } catch (err) {
+      instrumentation._diag.error('Unable to parse the error payload', err)
+      state.errorDetails = undefined
+    }
+  }
+  return state.errorDetails
+}
+
+/**
+ * Classify a response status code following the HTTP semantic conventions: 5xx is an error
+ * for SERVER spans, where 4xx is the client's fault, while 4xx and 5xx are errors for
+ * CLIENT spans. The status of every other response is left unset
+ * @param {number} statusCode - The response status code
+ * @param {number} spanKind - The kind of the span
+ * @returns {number} The span status code
+ */
+function defaultStatusClassifier (statusCode, spanKind) {
+  if (statusCode >= 500 || (statusCode >= 400 && spanKind === SpanKind.CLIENT)) {
+    return SpanStatusCode.ERROR
+  }
+  return SpanStatusCode.UNSET
+}
+
+function onResponseStream (state, stream, attributes, instrumentation) {
+  // Count the bytes pushed by the app, listening to 'data' would consume the stream.
+  // Nothing was read yet, what the app wrote before the response resolved is still buffered
+  let size = stream.readableLength
+  const push = stream.push
+  stream.push = function (chunk, encoding) {
+    if (chunk) {
+      size += Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(chunk, encoding)
+    }
+    return push.call(this, chunk, encoding)
+  }
+
+  finished(stream, (err) => {
+    stream.push = push
+    if (state.ended) {
+      return
+    }
+
+    setAttributes(state, { [ATTR_HTTP_RESPONSE_BODY_SIZE]: size })
+
+    // A stream destroyed by its consumer without an error is not a failure
+    if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') {
+      const errorType = recordError(state, err, err.code)
+      attributes = { ...attributes, [ATTR_ERROR_TYPE]: errorType }
+    }
+
+    instrumentation._recordMetrics(state, attributes)
+    endSpans(state)
   })
-  span.end()
 }
 
-function wrapCallback (span, callback, instrumentation) {
+function onError (state, error, instrumentation) {
+  if (state.ended) {
+    return
+  }
+
+  // light-my-request rejects aborted requests with an AbortError carrying the reason as cause
+  let errorType
+  if (state.cancelled || error.name === 'AbortError') {
+    if (!state.cancelled) {
+      recordCancelled(state, error.cause ?? error.message)
+    }
+    errorType = recordError(state, error, 'AbortError')
+  } else {
+    errorType = recordError(state, error)
+  }
+
+  recordStreamedRequestBody(state, instrumentation)
+  instrumentation._recordMetrics(state, { [ATTR_ERROR_TYPE]: errorType })
+  endSpans(state)
+}
+
+function recordError (state, error, errorType) {
+  // Set error.type to the error class name or type
+  errorType = errorType || error.name || error.constructor?.name || 'Error'
+  setAttributes(state, { [ATTR_ERROR_TYPE]: errorType })
+
+  for (const span of [state.span, state.clientSpan]) {
+    if (!span) {
+      continue
+    }
+    span.recordException(error)
+    span.setStatus({
+      code: SpanStatusCode.ERROR,
+      message: error.message
+    })
+  }
+
+  return errorType
+}
+
+function recordStreamedRequestBody (state, instrumentation) {
+  if (!state.requestTap) {
+    return
+  }
+
+  const { body, truncated, size } = state.requestTap.read()
+  setAttributes(state, { [ATTR_HTTP_REQUEST_BODY_SIZE]: size })
+  if (state.requestBodyInfo) {
+    instrumentation._recordBody(state.span, body, truncated, state.requestBodyInfo)
+  }
+}
+
+function setAttributes (state, attributes) {
+  state.span.setAttributes(state.mapAttributes(attributes, state.spanKind))
+  state.clientSpan?.setAttributes(state.mapAttributes(attributes, SpanKind.CLIENT))
+}
+
+function recordCancelled (state, reason) {
+  if (state.ended || state.cancelled) {
+    return
+  }
+  state.cancelled = true
+
+  const attributes = {}
+  if (reason !== undefined) {
+    attributes[ATTR_CANCEL_REASON] = reason instanceof Error ? `${reason.name}: ${reason.message}` : String(reason)
+  }
+  state.span.addEvent('cancelled', attributes)
+}
+
+function endSpans (state) {
+  state.ended = true
+  clearTimeout(state.timer)
+  state.removeAbortListener?.()
+
+  // The SERVER span is the child, end it first
+  state.span.end()
+  state.clientSpan?.end()
+}
+
+function wrapCallback (state, callback, instrumentation) {
   return function wrappedCallback (error, response) {
     if (error) {
-      onError(span, error)
+      onError(state, error, instrumentation)
     } else if (response) {
-      onResponse(span, response, instrumentation)
+      onResponse(state, response, instrumentation)
     }
     return callback.call(this, error, response)
   }
 }
 
-function wrapPromise (span, promise, instrumentation) {
+function callOriginal (state, fn, instrumentation) {
+  // Validation errors are thrown synchronously, end the span before rethrowing
+  try {
+    return fn()
+  } catch (err) {
+    onError(state, err, instrumentation)
+    throw err
+  }
+}
+
+function wrapChain (chain, instrumentation, spanOptions) {
+  const end = chain.end
+  // The chain may be awaited outside the context it was created in
+  const parentContext = context.active()
+
+  chain.end = function (callback) {
+    // Let the original report double invocations before starting a span
+    if (this._hasInvoked === true || this._promise) {
+      return end.call(this, callback)
+    }
+
+    // Ignored requests run untraced, with nested instrumentation suppressed
+    if (context.with(parentContext, () => instrumentation._shouldIgnore(this.option))) {
+      return context.with(suppressTracing(parentContext), () => end.call(this, callback))
+    }
+
+    // end() runs on the next tick when the chain auto-starts, where a throw would be uncaught
+    let state
+    try {
+      state = context.with(parentContext, () => {
+        return instrumentation._startInjectSpan(this.dispatch, this.option, spanOptions)
+      })
+    } catch (err) {
+      instrumentation._diag.error('Unable to start the inject span', err)
+      return end.call(this, callback)
+    }
+    this.dispatch = state.dispatchFunc
+
+    return context.with(state.spanContext, () => {
+      if (typeof callback === 'function') {
+        const wrappedCallback = wrapCallback(state, callback, instrumentation)
+        return callOriginal(state, () => end.call(this, wrappedCallback), instrumentation)
+      }
+
+      // Replace the chain promise so that later .then() calls observe the traced one
+      const promise = callOriginal(state, () => end.call(this), instrumentation)
+      this._promise = wrapPromise(state, promise, instrumentation)
+      return this._promise
+    })
+  }
+
+  // Promise methods dispatch the request on first use, route them through end()
+  for (const method of ['then', 'catch', 'finally']) {
+    const fn = chain[method]
+    if (typeof fn !== 'function') {
+      continue
+    }
+    chain[method] = function (...args) {
+      if (!this._promise && this._hasInvoked !== true) {
+        this.end()
+      }
+      return fn.apply(this, args)
+    }
+  }
+
+  return chain
+}
+
+/**
+ * List the simulated request stream events to record
+ * @param {object} [simulate] - The simulate inject option
+ * @returns {string[]} The names of the events light-my-request will emit
+ */
+function getSimulatedEvents (simulate) {
+  return simulate ? SIMULATED_EVENTS.filter(event => simulate[event]) : []
+}
+
+/**
+ * Wrap the dispatch function to add a span event when the fake request emits a simulated event.
+ * req.emit is observed rather than listened to, so that an unhandled simulated error still throws
+ * @param {object} state - The in-flight request state
+ * @param {Function} dispatchFunc - The dispatch function passed to inject
+ * @param {string[]} events - The simulated events to record
+ * @returns {Function} The dispatch function to inject with
+ */
+function wrapSimulatedDispatch (state, dispatchFunc, events) {
+  return function (req, res) {
+    const pending = new Set(events)
+    const emit = req.emit
+    req.emit = function (event, ...args) {
+      if (pending.delete(event) && !state.ended) {
+        const attributes = event === 'error' && args[0] instanceof Error
+          ? { 'exception.message': args[0].message }
+          : undefined
+        state.span.addEvent(`simulate.${event}`, attributes)
+      }
+      if (pending.size === 0) {
+        req.emit = emit
+      }
+      return emit.call(this, event, ...args)
+    }
+    return dispatchFunc.call(this, req, res)
+  }
+}
+
+function wrapPromise (state, promise, instrumentation) {
   function fulfill (response) {
-    onResponse(span, response, instrumentation)
+    onResponse(state, response, instrumentation)
     return response
   }
   function reject (error) {
-    onError(span, error)
+    onError(state, error, instrumentation)
     return Promise.reject(error)
   }
   return promise.then(fulfill, reject)
@@ -0,0 +1,125 @@
+'use strict'
+
+const { SpanKind } = require('@opentelemetry/api')
+const {
+  ATTR_HTTP_REQUEST_METHOD,
+  ATTR_HTTP_RESPONSE_STATUS_CODE,
+  ATTR_URL_FULL,
+  ATTR_URL_PATH,
+  ATTR_URL_QUERY,
+  ATTR_URL_SCHEME,
+  ATTR_SERVER_ADDRESS,
+  ATTR_SERVER_PORT,
+  ATTR_CLIENT_ADDRESS,
+  ATTR_USER_AGENT_ORIGINAL,
+  ATTR_NETWORK_PROTOCOL_VERSION,
+  ATTR_ERROR_TYPE,
+  SEMATTRS_HTTP_METHOD,
+  SEMATTRS_HTTP_STATUS_CODE,
+  SEMATTRS_HTTP_URL,
+  SEMATTRS_HTTP_TARGET,
+  SEMATTRS_HTTP_SCHEME,
+  SEMATTRS_HTTP_USER_AGENT,
+  SEMATTRS_HTTP_FLAVOR,
+  SEMATTRS_HTTP_REQUEST_CONTENT_LENGTH,
+  SEMATTRS_HTTP_RESPONSE_CONTENT_LENGTH,
+  SEMATTRS_NET_HOST_NAME,
+  SEMATTRS_NET_HOST_PORT,
+  SEMATTRS_NET_PEER_IP,
+  SEMATTRS_NET_PEER_NAME,
+  SEMATTRS_NET_PEER_PORT
+} = require('@opentelemetry/semantic-conventions')
+
+// Same values as @opentelemetry/instrumentation-http, usable as bit flags
+const SemconvStability = {
+  STABLE: 0x1,
+  OLD: 0x2,
+  DUPLICATE: 0x3
+}
+
+const SEMCONV_STABILITY_OPTIONS = {
+  stable: SemconvStability.STABLE,
+  old: SemconvStability.OLD,
+  dup: SemconvStability.DUPLICATE
+}
+
+// Stable attributes and their names before HTTP semantic conventions 1.23
+const OLD_ATTRIBUTE_NAMES = {
+  [ATTR_HTTP_REQUEST_METHOD]: SEMATTRS_HTTP_METHOD,
+  [ATTR_HTTP_RESPONSE_STATUS_CODE]: SEMATTRS_HTTP_STATUS_CODE,
+  [ATTR_URL_FULL]: SEMATTRS_HTTP_URL,
+  [ATTR_URL_SCHEME]: SEMATTRS_HTTP_SCHEME,
+  [ATTR_USER_AGENT_ORIGINAL]: SEMATTRS_HTTP_USER_AGENT,
+  [ATTR_NETWORK_PROTOCOL_VERSION]: SEMATTRS_HTTP_FLAVOR,
+  [ATTR_CLIENT_ADDRESS]: SEMATTRS_NET_PEER_IP,
+  'http.request.body.size': SEMATTRS_HTTP_REQUEST_CONTENT_LENGTH,
+  'http.response.body.size': SEMATTRS_HTTP_RESPONSE_CONTENT_LENGTH
+}
+
+// The server is the local host on SERVER spans and the peer on CLIENT spans
+const OLD_SERVER_ATTRIBUTE_NAMES = {
+  [SpanKind.SERVER]: { [ATTR_SERVER_ADDRESS]: SEMATTRS_NET_HOST_NAME, [ATTR_SERVER_PORT]: SEMATTRS_NET_HOST_PORT },
+  [SpanKind.CLIENT]: { [ATTR_SERVER_ADDRESS]: SEMATTRS_NET_PEER_NAME, [ATTR_SERVER_PORT]: SEMATTRS_NET_PEER_PORT }
+}
+
+// Stable attributes with no counterpart of their own in the old conventions
+const STABLE_ONLY_ATTRIBUTES = new Set([ATTR_URL_PATH, ATTR_URL_QUERY, ATTR_ERROR_TYPE])
+
+/**
+ * Read the HTTP semantic conventions stability from OTEL_SEMCONV_STABILITY_OPT_IN,
+ * the same way @opentelemetry/instrumentation-http does
+ * @param {string} [value] - The comma-separated opt-in list
+ * @returns {number|undefined} The stability, undefined when HTTP is not listed
+ */
+function semconvStabilityFromEnv (value = process.env.OTEL_SEMCONV_STABILITY_OPT_IN) {
+  const entries = String(value ?? '').split(',').map(entry => entry.trim().toLowerCase())
+  if (entries.includes('http/dup')) {
+    return SemconvStability.DUPLICATE
+  }
+  if (entries.includes('http')) {
+    return SemconvStability.STABLE
+  }
+  return undefined
+}
+
+/**
+ * Create the function translating the stable attributes built by the instrumentation
+ * into the attributes to record
+ * @param {number} stability - One of SemconvStability
+ * @returns {Function} Called with (attributes, spanKind), returns the attributes to record
+ */
+function createAttributeMapper (stability) {
+  if (stability === SemconvStability.STABLE) {
+    return (attributes) => attributes
+  }
+
+  return (attributes, spanKind) => {
+    const serverNames = OLD_SERVER_ATTRIBUTE_NAMES[spanKind] ?? OLD_SERVER_ATTRIBUTE_NAMES[SpanKind.SERVER]
+    const result = {}
+
+    for (const [key, value] of Object.entries(attributes)) {
+      const oldName = OLD_ATTRIBUTE_NAMES[key] ?? serverNames[key]
+      if (oldName) {
+        result[oldName] = value
+      }
+      if ((stability & SemconvStability.STABLE) || (!oldName && !STABLE_ONLY_ATTRIBUTES.has(key))) {
+        result[key] = value
+      }
+    }
+
+    // http.target is the path and query of the request
+    if (attributes[ATTR_URL_PATH] !== undefined) {
+      const query = attributes[ATTR_URL_QUERY]
+      result[SEMATTRS_HTTP_TARGET] = query ? `${attributes[ATTR_URL_PATH]}?${query}` : attributes[ATTR_URL_PATH]
+    }
+
+    return result
+  }
+}
+
+module.exports = {
+  SemconvStability,
+  SEMCONV_STABILITY_OPTIONS,
+  semconvStabilityFromEnv,
+  createAttributeMapper
+}
@@ -0,0 +1,176 @@
+'use strict'
+
+const assert = require('node:assert')
+const { SpanKind } = require('@opentelemetry/api')
+const { InMemorySpanExporter, SimpleSpanProcessor } = require('@opentelemetry/sdk-trace-base')
+const { NodeTracerProvider } = require('@opentelemetry/sdk-trace-node')
+const {
+  ATTR_HTTP_REQUEST_METHOD,
+  ATTR_HTTP_RESPONSE_STATUS_CODE,
+  ATTR_HTTP_ROUTE,
+  ATTR_URL_PATH
+} = require('@opentelemetry/semantic-conventions')
+const { LightMyRequestInstrumentation, name } = require('./instrumentation.js')
+
+const SPAN_KINDS = { server: SpanKind.SERVER, client: SpanKind.CLIENT }
+
+// Span properties that assertInjectSpan and assertTraceTree can match on
+const MATCHERS = {
+  name: (span) => span.name,
+  kind: (span) => span.kind,
+  method: (span) => span.attributes[ATTR_HTTP_REQUEST_METHOD],
+  route: (span) => span.attributes[ATTR_HTTP_ROUTE],
+  path: (span) => span.attributes[ATTR_URL_PATH],
+  status: (span) => span.attributes[ATTR_HTTP_RESPONSE_STATUS_CODE]
+}
+
+/**
+ * Set up a tracer provider, the instrumentation and an in-memory exporter for a node:test suite.
+ * Create it before the Fastify apps under test, or light-my-request, so that they are instrumented.
+ * @param {object} [config] - The instrumentation config
+ * @param {object} [options] - The test kit options
+ * @param {boolean} [options.hooks=true] - Register node:test hooks resetting the spans before each test
+ * and shutting down after the suite, in the suite where the kit is created
+ * @returns {object} The test kit
+ */
+function createTestKit (config = {}, options = {}) {
+  const exporter = new InMemorySpanExporter()
+  const provider = new NodeTracerProvider()
+  provider.addSpanProcessor(new SimpleSpanProcessor(exporter))
+  // Registers the context manager, the tracer provider stays local when another one is global
+  provider.register()
+
+  const instrumentation = new LightMyRequestInstrumentation(config)
+  instrumentation.setTracerProvider(provider)
+
+  const kit = {
+    instrumentation,
+    provider,
+    exporter,
+
+    /**
+     * @returns {import('@opentelemetry/sdk-trace-base').ReadableSpan[]} The spans finished since the last reset
+     */
+    getSpans () {
+      return exporter.getFinishedSpans()
+    },
+
+    /**
+     * @returns {import('@opentelemetry/sdk-trace-base').ReadableSpan[]} The finished spans of injected requests
+     */
+    getInjectSpans () {
+      return exporter.getFinishedSpans().filter(isInjectSpan)
+    },
+
+    /**
+     * Forget the finished spans, between tests
+     */
+    reset () {
+      exporter.reset()
+    },
+
+    /**
+     * Assert that an inject span matches, and return it
+     * @param {object} expected - Any of name, kind ('server', 'client' or a SpanKind), method, route, path and status
+     * @returns {import('@opentelemetry/sdk-trace-base').ReadableSpan} The first matching span
+     */
+    assertInjectSpan (expected) {
+      const spans = kit.getInjectSpans()
+      const span = spans.find(span => matches(span, expected))
+      if (!span) {
+        fail(`No inject span matches ${JSON.stringify(expected)}`, spans)
+      }
+      return span
+    },
+
+    /**
+     * Assert that inject spans form a trace tree, such as an inject made by the handler of another inject
+     * @param {object} tree - The root span criteria, as for assertInjectSpan, with the expected
+     * child spans in `children`, in any order
+     * @returns {import('@opentelemetry/sdk-trace-base').ReadableSpan} The root span of the matching tree
+     */
+    assertTraceTree (tree) {
+      const spans = kit.getInjectSpans()
+      const root = spans.find(span => matchesTree(span, tree, spans, new Set()))
+      if (!root) {
+        fail(`No inject spans match the tree ${JSON.stringify(tree)}`, spans)
+      }
+      return root
+    },
+
+    /**
+     * Disable the instrumentation and shut the provider down
+     * @returns {Promise<void>}
+     */
+    async shutdown () {
+      instrumentation.disable()
+      await provider.shutdown()
+    }
+  }
+
+  if (options.hooks !== false) {
+    const { beforeEach, after } = require('node:test')
+    beforeEach(() => kit.reset())
+    after(() => kit.shutdown())
+  }
+
+  return kit
+}
+
+function isInjectSpan (span) {
+  return (span.instrumentationScope ?? span.instrumentationLibrary)?.name === name
+}
+
+function getParentSpanId (span) {
+  return span.parentSpanContext?.spanId ?? span.parentSpanId
+}
+
+function matches (span, expected) {
+  for (const [key, value] of Object.entries(expected)) {
+    if (key === 'children') {
+      continue
+    }
+    const matcher = MATCHERS[key]
+    if (!matcher) {
+      throw new TypeError(`Unknown inject span property "${key}", expected one of ${Object.keys(MATCHERS).join(', ')}`)
+    }
+    const expectedValue = key === 'kind' ? SPAN_KINDS[value] ?? value : value
+    if (matcher(span) !== expectedValue) {
+      return false
+    }
+  }
+  return true
+}
+
+// Each span can only match a single node of the tree
+function matchesTree (span, tree, spans, used) {
+  if (used.has(span) || !matches(span, tree)) {
+    return false
+  }
+
+  const claimed = new Set(used).add(span)
+  const spanId = span.spanContext().spanId
+  for (const child of tree.children ?? []) {
+    const match = spans.find(candidate => getParentSpanId(candidate) === spanId && matchesTree(candidate, child, spans, claimed))
+    if (!match) {
+      return false
+    }
+    claimed.add(match)
+  }
+
+  for (const claimedSpan of claimed) {
+    used.add(claimedSpan)
+  }
+  return true
+}
+
+function fail (message, spans) {
+  const found = spans.length === 0
+    ? 'no inject spans were finished'
+    : spans.map(span => `  - ${span.name} (${Object.keys(MATCHERS).map(key => `${key}: ${MATCHERS[key](span)}`).join(', ')})`).join('\n')
+  throw new assert.AssertionError({ message: `${message}, found:\n${found}`, stackStartFn: fail })
+}
+
+module.exports = {
+  createTestKit
+}
@@ -0,0 +1,158 @@
+'use strict'
+
+const { getHeader } = require('./headers.js')
+
+const REDACTED = 'REDACTED'
+
+// light-my-request resolves every URL against this base
+const BASE_URL = 'http://localhost'
+
+// Query parameters that semconv requires to be redacted, plus common credential names
+const DEFAULT_REDACTED_QUERY_PARAMS = [
+  'AWSAccessKeyId',
+  'Signature',
+  'sig',
+  'X-Goog-Signature',
+  'access_token',
+  'api_key',
+  'apikey',
+  'password',
+  'token'
+]
+
+const USERINFO_REGEXP = /^([a-z][a-z\d+.-]*:\/\/)[^/?#@]*@/i
+const ORIGIN_REGEXP = /^[a-z][a-z\d+.-]*:\/\/[^/?#]*/i
+const HOST_REGEXP = /^(?:\[([^\]]*)\]|([^:]*))(?::(\d+))?$/
+
+/**
+ * Normalize the URL of an injected request with the same rules as light-my-request:
+ * `url` or `path`, as a string or a `{ protocol, hostname, port, pathname, query }` object,
+ * with `query` merged into the search params, and the server taken from the Host header,
+ * then `authority`, then the URL
+ * @param {object} opts - The inject options
+ * @returns {{ url: string, path: string, scheme: string, serverAddress: string, serverPort: number|undefined }}
+ * The URL to record (relative when a relative string was given, absolute otherwise), the raw path,
+ * the scheme and the server address and port
+ */
+function normalizeUrl (opts) {
+  const source = opts.url || opts.path || '/'
+
+  let parsed
+  try {
+    parsed = parseUrl(source, opts.query)
+  } catch {
+    // light-my-request rejects it as well, record it as given
+    const url = String(source)
+    return { url, path: splitUrl(url).path, scheme: 'http', serverAddress: undefined, serverPort: undefined }
+  }
+
+  const search = parsed.search
+  const isRelative = typeof source === 'string' && !ORIGIN_REGEXP.test(source)
+  const url = isRelative
+    ? parsed.pathname + search
+    : parsed.href.slice(0, parsed.href.length - parsed.hash.length)
+
+  const host = getHeader(opts.headers, 'host') || opts.authority || hostFromUrl(parsed)
+  // IPv6 addresses are recorded without brackets
+  const [, ipv6Address, hostname, serverPort] = HOST_REGEXP.exec(String(host)) || []
+  const serverAddress = ipv6Address ?? hostname
+
+  return {
+    url,
+    path: parsed.pathname,
+    scheme: parsed.protocol.slice(0, -1),
+    serverAddress: serverAddress || undefined,
+    serverPort: serverPort ? parseInt(serverPort, 10) : undefined
+  }
+}
+
+// Same as light-my-request's parseURL
+function parseUrl (url, query) {
+  if (typeof url === 'string' && url.startsWith('//')) {
+    url = BASE_URL + url
+  }
+  const result = typeof url === 'object'
+    ? Object.assign(new URL(BASE_URL), url)
+    : new URL(url, BASE_URL)
+
+  const merged = Object.assign({}, url.query, query)
+  for (const key in merged) {
+    const value = merged[key]
+    if (Array.isArray(value)) {
+      result.searchParams.delete(key)
+      for (const param of value) {
+        result.searchParams.append(key, param)
+      }
+    } else {
+      result.searchParams.set(key, value)
+    }
+  }
+
+  return result
+}
+
+// Same as light-my-request's hostHeaderFromURL
+function hostFromUrl (parsed) {
+  return parsed.port
+    ? parsed.host
+    : parsed.hostname + (parsed.protocol === 'https:' ? ':443' : ':80')
+}
+
+/**
+ * Split a relative or absolute URL into its path and query
+ * @param {string} url - The URL
+ * @returns {{ path: string, query: string }} The path and the query without `?`
+ */
+function splitUrl (url) {
+  const origin = ORIGIN_REGEXP.exec(url)
+  const rest = origin ? url.slice(origin[0].length) : url
+  const queryStart = rest.indexOf('?')
+  if (queryStart === -1) {
+    return { path: rest || '/', query: '' }
+  }
+  return { path: rest.slice(0, queryStart) || '/', query: rest.slice(queryStart + 1) }
+}
+
+/**
+ * Redact the userinfo and the sensitive query parameter values of a URL,
+ * relative URLs are supported
+ * @param {string} url - The URL to redact
+ * @param {Set<string>} redactedQueryParams - Lower-cased names of the query parameters to redact
+ * @returns {string} The redacted URL
+ */
+function redactUrl (url, redactedQueryParams) {
+  url = url.replace(USERINFO_REGEXP, `$1${REDACTED}:${REDACTED}@`)
+
+  const queryStart = url.indexOf('?')
+  if (queryStart === -1 || redactedQueryParams.size === 0) {
+    return url
+  }
+
+  const hashStart = url.indexOf('#', queryStart)
+  const queryEnd = hashStart === -1 ? url.length : hashStart
+  const query = url.slice(queryStart + 1, queryEnd)
+    .split('&')
+    .map(param => {
+      const separator = param.indexOf('=')
+      const key = separator === -1 ? param : param.slice(0, separator)
+      return redactedQueryParams.has(safeDecode(key).toLowerCase()) ? `${key}=${REDACTED}` : param
+    })
+    .join('&')
+
+  return url.slice(0, queryStart + 1) + query + url.slice(queryEnd)
+}
+
+function safeDecode (value) {
+  try {
+    return decodeURIComponent(value.replace(/\+/g, ' '))
+  } catch {
+    return value
+  }
+}
+
+module.exports = {
+  DEFAULT_REDACTED_QUERY_PARAMS,
+  normalizeUrl,
+  redactUrl,
+  splitUrl
+}
@@ -0,0 +1,103 @@
+import { describe, it, before, after, beforeEach } from 'node:test'
+import assert from 'node:assert'
+import { register } from 'node:module'
+import { NodeTracerProvider } from '@opentelemetry/sdk-trace-node'
+import { InMemorySpanExporter, SimpleSpanProcessor } from '@opentelemetry/sdk-trace-base'
+import { SpanKind } from '@opentelemetry/api'
+import { ATTR_HTTP_REQUEST_METHOD, ATTR_URL_PATH } from '@opentelemetry/semantic-conventions'
+import { LightMyRequestInstrumentation } from '../lib/instrumentation.js'
+
+// Same as `node --import` with the import-in-the-middle hook, light-my-request
+// must only be imported once both the hook and the instrumentation are in place
+register('import-in-the-middle/hook.mjs', import.meta.url)
+
+describe('LightMyRequestInstrumentation (ESM)', () => {
+  let instrumentation
+  let provider
+  let exporter
+  let lightMyRequest
+
+  const dispatch = (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain' })
+    res.end('OK')
+  }
+
+  before(async () => {
+    exporter = new InMemorySpanExporter()
+    provider = new NodeTracerProvider()
+    provider.addSpanProcessor(new SimpleSpanProcessor(exporter))
+    provider.register()
+
+    instrumentation = new LightMyRequestInstrumentation()
+    instrumentation.setTracerProvider(provider)
+
+    lightMyRequest = await import('light-my-request')
+  })
+
+  after(async () => {
+    instrumentation.disable()
+    await provider.shutdown()
+  })
+
+  beforeEach(() => {
+    instrumentation.enable()
+    exporter.reset()
+  })
+
+  it('should trace the default import', async () => {
+    const { default: inject } = lightMyRequest
+
+    const res = await inject(dispatch, { method: 'POST', url: '/default' })
+    assert.strictEqual(res.payload, 'OK')
+
+    const spans = exporter.getFinishedSpans()
+    assert.strictEqual(spans.length, 1)
+    assert.strictEqual(spans[0].kind, SpanKind.SERVER)
+    assert.strictEqual(spans[0].attributes[ATTR_HTTP_REQUEST_METHOD], 'POST')
+    assert.strictEqual(spans[0].attributes[ATTR_URL_PATH], '/default')
+  })
+
+  it('should trace the named inject import', async () => {
+    const { inject } = lightMyRequest
+
+    await inject(dispatch, { url: '/named' })
+
+    const spans = exporter.getFinishedSpans()
+    assert.strictEqual(spans.length, 1)
+    assert.strictEqual(spans[0].attributes[ATTR_URL_PATH], '/named')
+  })
+
+  it('should trace the chain API and callbacks', async () => {
+    const { inject } = lightMyRequest
+
+    await inject(dispatch).get('/chain')
+    await new Promise((resolve, reject) => {
+      inject(dispatch, { url: '/callback' }, (err) => err ? reject(err) : resolve())
+    })
+
+    const paths = exporter.getFinishedSpans().map(span => span.attributes[ATTR_URL_PATH])
+    assert.deepStrictEqual(paths, ['/chain', '/callback'])
+  })
+
+  it('should keep the other named exports', () => {
+    assert.strictEqual(typeof lightMyRequest.isInjection, 'function')
+    assert.strictEqual(lightMyRequest.default.isInjection, lightMyRequest.isInjection)
+  })
+
+  it('should restore the original exports when disabled', async () => {
+    const patched = lightMyRequest.default
+
+    instrumentation.disable()
+    assert.notStrictEqual(lightMyRequest.default, patched)
+    assert.strictEqual(lightMyRequest.inject, lightMyRequest.default)
+
+    await lightMyRequest.default(dispatch, { url: '/untraced' })
+    await lightMyRequest.inject(dispatch, { url: '/untraced' })
+    assert.strictEqual(exporter.getFinishedSpans().length, 0)
+
+    // Enabling again patches the same namespace
+    instrumentation.enable()
+    await lightMyRequest.inject(dispatch, { url: '/traced' })
+    assert.strictEqual(exporter.getFinishedSpans().length, 1)
+  })
+})
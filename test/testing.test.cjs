@@ -0,0 +1,89 @@
+'use strict'
+
+const { describe, it } = require('node:test')
+const assert = require('node:assert')
+const { createTestKit } = require('@platformatic/instrumentation-light-my-request/testing')
+
+describe('Test kit', () => {
+  const kit = createTestKit()
+
+  // Loaded after the kit so that it is patched
+  const Fastify = require('fastify')
+  const inject = require('light-my-request')
+
+  const dispatch = (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/plain' })
+    res.end('OK')
+  }
+
+  it('should collect the spans of injected requests', async () => {
+    await inject(dispatch, { method: 'POST', url: '/items' })
+
+    assert.strictEqual(kit.getSpans().length, 1)
+    const span = kit.assertInjectSpan({ method: 'POST', path: '/items', status: 200, kind: 'server' })
+    assert.strictEqual(span.name, 'POST /items')
+  })
+
+  it('should start each test without spans', () => {
+    assert.deepStrictEqual(kit.getSpans(), [])
+  })
+
+  it('should report the inject spans found when nothing matches', async () => {
+    await inject(dispatch, { url: '/items' })
+
+    assert.throws(() => kit.assertInjectSpan({ method: 'DELETE' }), (err) => {
+      assert.ok(err instanceof assert.AssertionError)
+      assert.match(err.message, /No inject span matches {"method":"DELETE"}/)
+      assert.match(err.message, /GET \/items \(.*method: GET/)
+      return true
+    })
+    assert.throws(() => kit.assertInjectSpan({ verb: 'GET' }), /Unknown inject span property "verb"/)
+  })
+
+  describe('with Fastify', () => {
+    const app = Fastify()
+    app.get('/users/:id', async () => 'user')
+    app.get('/profile/:id', async (request) => {
+      const [user, posts] = await Promise.all([
+        app.inject({ url: `/users/${request.params.id}` }),
+        app.inject({ url: '/missing' })
+      ])
+      return { user: user.payload, posts: posts.statusCode }
+    })
+
+    // Same as the README example: the app is created after the kit, and not registered
+    it('should assert on routes and statuses', async () => {
+      await app.inject({ url: '/users/1' })
+
+      kit.assertInjectSpan({ method: 'GET', route: '/users/:id', status: 200 })
+    })
+
+    it('should assert on the trace tree of nested injects', async () => {
+      await app.inject({ url: '/profile/1' })
+
+      const root = kit.assertTraceTree({
+        route: '/profile/:id',
+        children: [
+          { path: '/missing', status: 404 },
+          { route: '/users/:id', status: 200 }
+        ]
+      })
+      assert.strictEqual(root.attributes['url.path'], '/profile/1')
+
+      assert.throws(() => kit.assertTraceTree({ path: '/users/1', children: [{ path: '/profile/1' }] }), /No inject spans match the tree/)
+      // A span cannot match two nodes of the tree
+      assert.throws(() => kit.assertTraceTree({
+        path: '/profile/1',
+        children: [{ path: '/missing' }, { path: '/missing' }]
+      }), assert.AssertionError)
+    })
+  })
+})
+
+describe('Package exports', () => {
+  it('should keep the lib files importable', () => {
+    const main = require('@platformatic/instrumentation-light-my-request')
+    const lib = require('@platformatic/instrumentation-light-my-request/lib/instrumentation.js')
+    assert.strictEqual(lib, main)
+  })
+})